@@ -0,0 +1,435 @@
+/**
+ * Chrome Todo Tab Extension - Background Service Worker
+ *
+ * This module shows reminder notifications for todos with a reminder time
+ * or a due date of today, even when no new tab is open, and adds pages,
+ * links and selections as todos from the context menu and handles the
+ * "todo" omnibox keyword (see omnibox.js) and keyboard commands, and takes
+ * scheduled snapshots of the board. It reads the same
+ * storage keys as the new tab page through the shared TodoManager.
+ *
+ * @author Chrome Todo Tab Extension
+ * @version 1.0.0
+ */
+
+importScripts('todo-core.js', 'omnibox.js');
+
+// Queue for changes to the board, so events handled at the same time
+// cannot load the same todos and overwrite each other's saves
+const BoardQueue = {
+    tail: Promise.resolve(),
+
+    /**
+     * Runs a task after every task queued before it has finished
+     * @param {Function} task - Async function to run
+     * @returns {Promise<*>} The task's result
+     */
+    run: function(task) {
+        const result = this.tail.then(task);
+        this.tail = result.catch(() => {});
+        return result;
+    }
+};
+
+/**
+ * ReminderService class finding due reminders and showing notifications
+ * Remembers which reminders were already shown so each fires only once
+ */
+class ReminderService {
+    /**
+     * Makes sure the periodic reminder check alarm exists
+     * @returns {Promise<void>}
+     */
+    async scheduleChecks() {
+        const existing = await chrome.alarms.get(CONFIG.REMINDER_ALARM_NAME);
+        if (!existing) {
+            await chrome.alarms.create(CONFIG.REMINDER_ALARM_NAME, { periodInMinutes: CONFIG.REMINDER_CHECK_MINUTES });
+            Logger.info('Reminder check alarm scheduled');
+        }
+    }
+
+    /**
+     * Loads the board without creating default data or history
+     * @returns {Promise<TodoManager>} A manager holding the stored boards, groups, todos and settings
+     */
+    async loadBoard() {
+        const manager = new TodoManager();
+        await manager.loadBoards();
+        await manager.loadGroups();
+        await manager.loadTodos();
+        await manager.loadSettings();
+        return manager;
+    }
+
+    /**
+     * Finds reminders that are due and have not been shown yet
+     * @param {TodoItem[]} todos - All todos
+     * @param {Object} settings - The user settings
+     * @param {Object} sent - Shown reminder keys by todo ID
+     * @param {Date} now - The current time
+     * @returns {Object[]} The reminders, each with a todo, key and kind
+     */
+    getDueReminders(todos, settings, sent, now) {
+        const today = TodoItem.getDateKey(now);
+        const reminders = [];
+
+        todos.filter(todo => !todo.completed).forEach(todo => {
+            const shown = sent[todo.id] || [];
+
+            if (todo.reminderAt && new Date(todo.reminderAt) <= now) {
+                const key = `reminder:${todo.reminderAt}`;
+                if (!shown.includes(key)) {
+                    reminders.push({ todo, key, kind: 'reminder' });
+                }
+            }
+
+            if (todo.dueDate === today && now.getHours() >= settings.dueReminderHour) {
+                const key = `due:${todo.dueDate}`;
+                if (!shown.includes(key)) {
+                    reminders.push({ todo, key, kind: 'due' });
+                }
+            }
+        });
+
+        return reminders;
+    }
+
+    /**
+     * Shows notifications for every reminder that is due
+     * @param {Date} [now] - The current time, defaults to now
+     * @returns {Promise<number>} The number of notifications shown
+     */
+    async checkReminders(now = new Date()) {
+        try {
+            const manager = await this.loadBoard();
+            if (!manager.settings.remindersEnabled) {
+                return 0;
+            }
+
+            const result = await chrome.storage.local.get(CONFIG.REMINDERS_STORAGE_KEY);
+            const stored = result[CONFIG.REMINDERS_STORAGE_KEY] || {};
+
+            // Forget reminders of todos that no longer exist
+            const sent = {};
+            manager.todos.forEach(todo => {
+                if (stored[todo.id]) {
+                    sent[todo.id] = stored[todo.id];
+                }
+            });
+
+            const reminders = this.getDueReminders(manager.todos, manager.settings, sent, now);
+            for (const reminder of reminders) {
+                const group = manager.groups.find(g => g.id === reminder.todo.groupId);
+                await this.notify(reminder, group ? group.name : '');
+                sent[reminder.todo.id] = [...(sent[reminder.todo.id] || []), reminder.key];
+            }
+
+            await chrome.storage.local.set({ [CONFIG.REMINDERS_STORAGE_KEY]: sent });
+
+            if (reminders.length > 0) {
+                Logger.info('Reminder notifications shown', { count: reminders.length });
+            }
+            return reminders.length;
+        } catch (error) {
+            Logger.error('Failed to check reminders', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Shows the notification for one reminder
+     * @param {Object} reminder - The reminder with its todo and kind
+     * @param {string} groupName - The name of the todo's column
+     * @returns {Promise<void>}
+     */
+    async notify(reminder, groupName) {
+        const { todo, kind } = reminder;
+        const where = groupName ? ` in ${groupName}` : '';
+
+        await chrome.notifications.create(CONFIG.NOTIFICATION_PREFIX + todo.id, {
+            type: 'basic',
+            iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+            title: todo.text,
+            message: kind === 'due' ? `Due today${where}` : `Reminder${where}`,
+            contextMessage: todo.description.slice(0, 100),
+            buttons: [{ title: 'Mark done' }],
+            priority: 1
+        });
+    }
+
+    /**
+     * Gets the todo ID from one of our notification IDs
+     * @param {string} notificationId - The notification ID
+     * @returns {string|null} The todo ID, or null for other notifications
+     */
+    getTodoId(notificationId) {
+        return notificationId.startsWith(CONFIG.NOTIFICATION_PREFIX)
+            ? notificationId.slice(CONFIG.NOTIFICATION_PREFIX.length)
+            : null;
+    }
+
+    /**
+     * Opens the board with the notification's todo in the edit modal
+     * @param {string} notificationId - The clicked notification ID
+     * @returns {Promise<void>}
+     */
+    async openTodo(notificationId) {
+        const todoId = this.getTodoId(notificationId);
+        if (!todoId) {
+            return;
+        }
+
+        await chrome.tabs.create({ url: chrome.runtime.getURL(`newtab.html#todo=${encodeURIComponent(todoId)}`) });
+        await chrome.notifications.clear(notificationId);
+    }
+
+    /**
+     * Completes the notification's todo
+     * @param {string} notificationId - The notification ID
+     * @returns {Promise<void>}
+     */
+    async completeTodo(notificationId) {
+        const todoId = this.getTodoId(notificationId);
+        if (!todoId) {
+            return;
+        }
+
+        try {
+            await BoardQueue.run(async () => {
+                const manager = new TodoManager();
+                await manager.initialize();
+
+                const todo = manager.todos.find(t => t.id === todoId);
+                if (todo && !todo.completed) {
+                    await manager.toggleTodo(todoId);
+                }
+            });
+        } catch (error) {
+            Logger.error('Failed to complete todo from notification', error);
+        }
+
+        await chrome.notifications.clear(notificationId);
+    }
+}
+
+/**
+ * ContextMenuService class adding links, selections and pages as todos
+ * Each menu entry has a submenu of columns, rebuilt whenever the columns change
+ */
+class ContextMenuService {
+    constructor() {
+        this.pendingBuild = Promise.resolve();
+    }
+
+    /**
+     * Queues a rebuild of the context menus so overlapping rebuilds cannot
+     * create the same menu IDs twice
+     * @returns {Promise<void>}
+     */
+    rebuild() {
+        this.pendingBuild = this.pendingBuild
+            .then(() => this.buildMenus())
+            .catch(error => Logger.error('Failed to build context menus', error));
+        return this.pendingBuild;
+    }
+
+    /**
+     * Creates one menu entry per capture kind with a submenu of the current board's columns
+     * @returns {Promise<void>}
+     */
+    async buildMenus() {
+        await chrome.contextMenus.removeAll();
+
+        const manager = new TodoManager();
+        await manager.loadBoards();
+        await manager.loadGroups();
+        const groups = manager.getGroups();
+
+        Object.entries(CONFIG.CONTEXT_MENU_TITLES).forEach(([kind, title]) => {
+            chrome.contextMenus.create({ id: kind, title, contexts: [kind] });
+
+            groups.forEach(group => {
+                chrome.contextMenus.create({
+                    id: `${kind}:${group.id}`,
+                    parentId: kind,
+                    // A single & marks a keyboard accelerator in menu titles
+                    title: group.name.replace(/&/g, '&&'),
+                    contexts: [kind]
+                });
+            });
+        });
+
+        Logger.info('Context menus built', { groupCount: groups.length });
+    }
+
+    /**
+     * Builds the todo text and source for a context menu click
+     * @param {string} kind - 'link', 'selection' or 'page'
+     * @param {Object} info - The click info from chrome.contextMenus
+     * @param {Object} [tab] - The tab the menu was opened in
+     * @returns {Object} The todo text and its source, or null if the page is not a web page
+     */
+    getCapture(kind, info, tab) {
+        const pageTitle = tab && tab.title ? tab.title : '';
+        let text;
+        let source;
+
+        if (kind === 'link') {
+            text = info.selectionText || info.linkUrl;
+            source = { url: info.linkUrl, title: info.selectionText || '' };
+        } else if (kind === 'selection') {
+            text = info.selectionText;
+            source = { url: info.pageUrl, title: pageTitle };
+        } else {
+            text = pageTitle || info.pageUrl;
+            source = { url: info.pageUrl, title: pageTitle };
+        }
+
+        text = text.replace(/\s+/g, ' ').trim();
+        if (text.length > CONFIG.MAX_TODO_LENGTH) {
+            text = text.slice(0, CONFIG.MAX_TODO_LENGTH - 1) + '…';
+        }
+
+        return { text, source: TodoItem.isWebUrl(source.url) ? source : null };
+    }
+
+    /**
+     * Adds the clicked link, selection or page as a todo
+     * @param {Object} info - The click info from chrome.contextMenus
+     * @param {Object} [tab] - The tab the menu was opened in
+     * @returns {Promise<void>}
+     */
+    async handleClick(info, tab) {
+        const menuId = String(info.menuItemId);
+        const separator = menuId.indexOf(':');
+        const kind = separator === -1 ? menuId : menuId.slice(0, separator);
+        const groupId = separator === -1 ? null : menuId.slice(separator + 1);
+
+        if (!(kind in CONFIG.CONTEXT_MENU_TITLES)) {
+            return;
+        }
+
+        try {
+            const { todo, group } = await BoardQueue.run(async () => {
+                const manager = new TodoManager();
+                await manager.initialize();
+
+                // The parent entry is clickable while there are no columns to list
+                const target = manager.groups.find(g => g.id === groupId) || manager.getGroups()[0];
+                const { text, source } = this.getCapture(kind, info, tab);
+                return { todo: await manager.addTodo(text, target.id, { source }), group: target };
+            });
+
+            await chrome.notifications.create(CONFIG.NOTIFICATION_PREFIX + todo.id, {
+                type: 'basic',
+                iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+                title: `Added to ${group.name}`,
+                message: todo.text
+            });
+        } catch (error) {
+            Logger.error('Failed to add todo from context menu', error);
+        }
+    }
+}
+
+/**
+ * SnapshotService class taking scheduled snapshots of the board
+ * The alarm fires hourly; TodoManager decides whether a snapshot is due.
+ */
+class SnapshotService {
+    /**
+     * Makes sure the periodic snapshot alarm exists
+     * @returns {Promise<void>}
+     */
+    async scheduleSnapshots() {
+        const existing = await chrome.alarms.get(CONFIG.SNAPSHOT_ALARM_NAME);
+        if (!existing) {
+            await chrome.alarms.create(CONFIG.SNAPSHOT_ALARM_NAME, { periodInMinutes: CONFIG.SNAPSHOT_CHECK_MINUTES });
+            Logger.info('Snapshot alarm scheduled');
+        }
+    }
+
+    /**
+     * Takes a snapshot if one is due
+     * @returns {Promise<void>}
+     */
+    async takeScheduledSnapshot() {
+        try {
+            await BoardQueue.run(async () => {
+                const manager = await reminderService.loadBoard();
+                await manager.takeScheduledSnapshot();
+            });
+        } catch (error) {
+            Logger.error('Failed to take scheduled snapshot', error);
+        }
+    }
+}
+
+const reminderService = new ReminderService();
+const contextMenuService = new ContextMenuService();
+const omniboxService = new OmniboxService();
+const snapshotService = new SnapshotService();
+
+// Listeners are registered synchronously so Chrome can wake the worker for them
+chrome.runtime.onInstalled.addListener(() => {
+    reminderService.scheduleChecks();
+    snapshotService.scheduleSnapshots();
+    contextMenuService.rebuild();
+});
+chrome.runtime.onStartup.addListener(() => {
+    reminderService.scheduleChecks();
+    snapshotService.scheduleSnapshots();
+    contextMenuService.rebuild();
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+    const boardsChanged = areaName === 'sync' && (changes[CONFIG.GROUPS_STORAGE_KEY] || changes[CONFIG.BOARDS_STORAGE_KEY]);
+    const switchedBoard = areaName === 'local' && changes[CONFIG.CURRENT_BOARD_STORAGE_KEY];
+    if (boardsChanged || switchedBoard) {
+        contextMenuService.rebuild();
+    }
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+    contextMenuService.handleClick(info, tab);
+});
+
+chrome.commands.onCommand.addListener((command) => {
+    if (command === CONFIG.CAPTURE_COMMAND) {
+        chrome.tabs.create({ url: chrome.runtime.getURL('newtab.html#capture') });
+    }
+});
+
+chrome.omnibox.onInputStarted.addListener(() => {
+    chrome.omnibox.setDefaultSuggestion({
+        description: 'Add a todo, with <match>in:column</match> to pick a column, or type <match>?</match> to search'
+    });
+});
+
+chrome.omnibox.onInputChanged.addListener((text, suggest) => {
+    omniboxService.handleInputChanged(text, suggest);
+});
+
+chrome.omnibox.onInputEntered.addListener((text, disposition) => {
+    omniboxService.handleInputEntered(text, disposition);
+});
+
+chrome.omnibox.onInputCancelled.addListener(() => omniboxService.reset());
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === CONFIG.REMINDER_ALARM_NAME) {
+        reminderService.checkReminders();
+    } else if (alarm.name === CONFIG.SNAPSHOT_ALARM_NAME) {
+        snapshotService.takeScheduledSnapshot();
+    }
+});
+
+chrome.notifications.onClicked.addListener((notificationId) => {
+    reminderService.openTodo(notificationId);
+});
+
+chrome.notifications.onButtonClicked.addListener((notificationId, buttonIndex) => {
+    if (buttonIndex === 0) {
+        reminderService.completeTodo(notificationId);
+    }
+});
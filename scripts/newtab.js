@@ -1,1083 +1,1439 @@
 /**
  * Chrome Todo Tab Extension - New Tab Page JavaScript
  * 
- * This module handles the todo list functionality for the Chrome new tab page.
- * It provides comprehensive todo management including CRUD operations,
- * filtering, persistence, and user interaction handling.
+ * This module handles the todo board user interface for the Chrome new tab page.
+ * The todo model, storage and TodoManager live in todo-core.js, which must be
+ * loaded first.
  * 
  * @author Chrome Todo Tab Extension
  * @version 1.0.0
  */
 
-// Constants for configuration and validation
-const CONFIG = {
-    STORAGE_KEY: 'chrome_todo_tab_todos',
-    GROUPS_STORAGE_KEY: 'chrome_todo_tab_groups',
-    MAX_TODO_LENGTH: 200,
-    MAX_GROUP_NAME_LENGTH: 50,
-    ANIMATION_DURATION: 300,
-    LOG_PREFIX: '[ChromeTodoTab]'
-};
-
-// Logging utility for debugging and monitoring
-const Logger = {
-    /**
-     * Logs informational messages for application flow tracking
-     * @param {string} message - The message to log
-     * @param {Object} [data] - Optional data to include
-     */
-    info: function(message, data = null) {
-        console.log(`${CONFIG.LOG_PREFIX} INFO: ${message}`, data || '');
-    },
+/**
+ * TodoUI class handling DOM manipulation and user interface
+ * Implements proper error handling and event management
+ */
+class TodoUI {
+    constructor(todoManager) {
+        this.todoManager = todoManager;
+        this.elements = {};
+        this.dropPlaceholder = null;
+        this.modalSubtasks = [];
+        this.resolveDialog = null;
+        this.snapshots = [];
+        this.openGroupSettingsId = null;
+        this.pendingRemoteRender = false;
+        this.isInitialized = false;
+    }
 
     /**
-     * Logs warning messages for recoverable issues
-     * @param {string} message - The warning message
-     * @param {Object} [data] - Optional data to include
+     * Initializes the UI components and event listeners
+     * @returns {Promise<void>}
+     * @throws {DOMError} When DOM elements cannot be found
      */
-    warn: function(message, data = null) {
-        console.warn(`${CONFIG.LOG_PREFIX} WARN: ${message}`, data || '');
-    },
+    async initialize() {
+        try {
+            Logger.info('Initializing TodoUI');
+            
+            this.initializeElements();
+            this.setupEventListeners();
+            this.updateDateDisplay();
+            
+            this.isInitialized = true;
+            Logger.info('TodoUI initialized successfully');
+        } catch (error) {
+            Logger.error('Failed to initialize TodoUI', error);
+            throw new DOMError('Failed to initialize user interface');
+        }
+    }
 
     /**
-     * Logs error messages for debugging failed operations
-     * @param {string} message - The error message
-     * @param {Error} [error] - Optional error object
+     * Initializes DOM element references
+     * @throws {DOMError} When required elements cannot be found
      */
-    error: function(message, error = null) {
-        console.error(`${CONFIG.LOG_PREFIX} ERROR: ${message}`, error || '');
-    }
-};
+    initializeElements() {
+        const requiredElements = {
+            board: 'board',
+            emptyState: 'emptyState',
+            todoStats: 'todoStats',
+            activeCount: 'activeCount',
+            completedCount: 'completedCount',
+            storageUsage: 'storageUsage',
+            clearCompleted: 'clearCompleted',
+            dateDisplay: 'dateDisplay',
+            boardSwitcher: 'boardSwitcher',
+            boardSelect: 'boardSelect',
+            addBoardButton: 'addBoardButton',
+            renameBoardButton: 'renameBoardButton',
+            deleteBoardButton: 'deleteBoardButton',
+            addGroupButton: 'addGroupButton',
+            addFirstGroupButton: 'addFirstGroupButton',
+            todoModal: 'todoModal',
+            todoEditForm: 'todoEditForm',
+            todoTitle: 'todoTitle',
+            todoDescription: 'todoDescription',
+            todoDueDate: 'todoDueDate',
+            todoPriority: 'todoPriority',
+            todoTags: 'todoTags',
+            todoReminder: 'todoReminder',
+            todoRecurrence: 'todoRecurrence',
+            recurrenceDays: 'recurrenceDays',
+            recurrenceIntervalField: 'recurrenceIntervalField',
+            todoRecurrenceInterval: 'todoRecurrenceInterval',
+            subtaskList: 'subtaskList',
+            todoColumn: 'todoColumn',
+            todoActivity: 'todoActivity',
+            newSubtaskInput: 'newSubtaskInput',
+            addSubtaskButton: 'addSubtaskButton',
+            settingsButton: 'settingsButton',
+            settingsModal: 'settingsModal',
+            settingsForm: 'settingsForm',
+            settingsModalClose: 'settingsModalClose',
+            dataSummary: 'dataSummary',
+            downloadQuarantine: 'downloadQuarantine',
+            clearQuarantine: 'clearQuarantine',
+            downloadBackup: 'downloadBackup',
+            tagFilter: 'tagFilter',
+            tagsButton: 'tagsButton',
+            tagModal: 'tagModal',
+            tagList: 'tagList',
+            tagModalClose: 'tagModalClose',
+            archiveButton: 'archiveButton',
+            archiveModal: 'archiveModal',
+            archiveModalClose: 'archiveModalClose',
+            archiveSearch: 'archiveSearch',
+            archiveSummary: 'archiveSummary',
+            archiveList: 'archiveList',
+            snapshotsButton: 'snapshotsButton',
+            snapshotModal: 'snapshotModal',
+            snapshotModalClose: 'snapshotModalClose',
+            snapshotSelect: 'snapshotSelect',
+            takeSnapshotButton: 'takeSnapshotButton',
+            snapshotSummary: 'snapshotSummary',
+            snapshotPreview: 'snapshotPreview',
+            restoreSelectedButton: 'restoreSelectedButton',
+            restoreAllButton: 'restoreAllButton',
+            shortcutsButton: 'shortcutsButton',
+            shortcutsModal: 'shortcutsModal',
+            shortcutsModalClose: 'shortcutsModalClose',
+            confirmModal: 'confirmModal',
+            confirmTitle: 'confirmTitle',
+            confirmMessage: 'confirmMessage',
+            confirmActions: 'confirmActions',
+            confirmModalClose: 'confirmModalClose',
+            overdueStats: 'overdueStats',
+            overdueCount: 'overdueCount',
+            modalClose: 'modalClose',
+            modalCancel: 'modalCancel',
+            toastContainer: 'toastContainer',
+            searchInput: 'searchInput',
+            columnFilter: 'columnFilter',
+            dueFilter: 'dueFilter',
+            clearFilters: 'clearFilters',
+            filterSummary: 'filterSummary',
+            exportButton: 'exportButton',
+            exportMarkdownButton: 'exportMarkdownButton',
+            importButton: 'importButton',
+            importFile: 'importFile'
+        };
 
-// Custom exception classes for different error categories
-class TodoValidationError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'TodoValidationError';
-    }
-}
+        for (const [key, id] of Object.entries(requiredElements)) {
+            const element = document.getElementById(id);
+            if (!element) {
+                throw new DOMError(`Required element not found: ${id}`);
+            }
+            this.elements[key] = element;
+        }
 
-class StorageError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'StorageError';
+        Logger.info('DOM elements initialized successfully');
     }
-}
 
-class DOMError extends Error {
-    constructor(message) {
-        super(message);
-        this.name = 'DOMError';
+    /**
+     * Sets up event listeners for user interactions
+     */
+    setupEventListeners() {
+        // Board switcher
+        this.elements.boardSelect.addEventListener('change', () => this.switchBoard(this.elements.boardSelect.value));
+        this.elements.addBoardButton.addEventListener('click', () => {
+            this.showBoardNameInput('', (name) => this.createBoard(name));
+        });
+        this.elements.renameBoardButton.addEventListener('click', () => {
+            const board = this.todoManager.getCurrentBoard();
+            this.showBoardNameInput(board.name, (name) => this.saveBoardName(board.id, board.name, name));
+        });
+        this.elements.deleteBoardButton.addEventListener('click', this.handleBoardDelete.bind(this));
+        
+        // Add group buttons
+        this.elements.addGroupButton.addEventListener('click', this.handleAddGroup.bind(this));
+        this.elements.addFirstGroupButton.addEventListener('click', this.handleAddGroup.bind(this));
+        
+        // Filter buttons
+        document.querySelectorAll('.filter-button').forEach(button => {
+            button.addEventListener('click', this.handleFilterClick.bind(this));
+        });
+        
+        // Search and filters
+        this.elements.searchInput.addEventListener('input', this.handleSearchInput.bind(this));
+        this.elements.searchInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.elements.searchInput.value = '';
+                this.handleSearchInput();
+            }
+        });
+        this.elements.columnFilter.addEventListener('change', () => {
+            this.todoManager.setColumnFilter(this.elements.columnFilter.value);
+            this.render();
+        });
+        this.elements.dueFilter.addEventListener('change', () => {
+            this.todoManager.setDueFilter(this.elements.dueFilter.value);
+            this.render();
+        });
+        this.elements.tagFilter.addEventListener('change', () => {
+            this.todoManager.setTagFilter(this.elements.tagFilter.value);
+            this.render();
+        });
+        this.elements.clearFilters.addEventListener('click', this.handleClearFilters.bind(this));
+        
+        // Recurrence in the edit modal
+        this.elements.todoRecurrence.addEventListener('change', this.updateRecurrenceFields.bind(this));
+        
+        // Subtasks in the edit modal
+        this.elements.addSubtaskButton.addEventListener('click', this.handleAddSubtask.bind(this));
+        this.elements.newSubtaskInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.handleAddSubtask();
+            }
+        });
+        
+        // Settings
+        this.elements.settingsButton.addEventListener('click', this.openSettingsModal.bind(this));
+        this.elements.settingsModalClose.addEventListener('click', this.closeSettingsModal.bind(this));
+        this.elements.settingsForm.addEventListener('change', this.handleSettingChange.bind(this));
+        this.elements.downloadQuarantine.addEventListener('click', this.handleDownloadQuarantine.bind(this));
+        this.elements.clearQuarantine.addEventListener('click', this.handleClearQuarantine.bind(this));
+        this.elements.downloadBackup.addEventListener('click', this.handleDownloadBackup.bind(this));
+        this.elements.settingsModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.settingsModal) {
+                this.closeSettingsModal();
+            }
+        });
+        
+        // Archive
+        this.elements.archiveButton.addEventListener('click', this.openArchiveModal.bind(this));
+        this.elements.archiveModalClose.addEventListener('click', this.closeArchiveModal.bind(this));
+        this.elements.archiveSearch.addEventListener('input', () => this.renderArchiveList());
+        this.elements.archiveModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.archiveModal) {
+                this.closeArchiveModal();
+            }
+        });
+        
+        // Snapshots
+        this.elements.snapshotsButton.addEventListener('click', this.openSnapshotModal.bind(this));
+        this.elements.snapshotModalClose.addEventListener('click', this.closeSnapshotModal.bind(this));
+        this.elements.snapshotSelect.addEventListener('change', () => this.renderSnapshotPreview());
+        this.elements.takeSnapshotButton.addEventListener('click', this.handleTakeSnapshot.bind(this));
+        this.elements.restoreSelectedButton.addEventListener('click', () => this.handleRestoreSnapshot(false));
+        this.elements.restoreAllButton.addEventListener('click', () => this.handleRestoreSnapshot(true));
+        this.elements.snapshotModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.snapshotModal) {
+                this.closeSnapshotModal();
+            }
+        });
+        
+        // Tag manager
+        this.elements.tagsButton.addEventListener('click', this.openTagModal.bind(this));
+        this.elements.tagModalClose.addEventListener('click', this.closeTagModal.bind(this));
+        this.elements.tagModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.tagModal) {
+                this.closeTagModal();
+            }
+        });
+        
+        // Keyboard shortcut help
+        this.elements.shortcutsButton.addEventListener('click', this.openShortcutsModal.bind(this));
+        this.elements.shortcutsModalClose.addEventListener('click', this.closeShortcutsModal.bind(this));
+        this.elements.shortcutsModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.shortcutsModal) {
+                this.closeShortcutsModal();
+            }
+        });
+        
+        // Confirmation dialog
+        this.elements.confirmModalClose.addEventListener('click', this.closeConfirmModal.bind(this));
+        this.elements.confirmModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.confirmModal) {
+                this.closeConfirmModal();
+            }
+        });
+        
+        // Clear completed button
+        this.elements.clearCompleted.addEventListener('click', this.handleClearCompleted.bind(this));
+        
+        // Column reordering
+        this.setupGroupReordering();
+        
+        // Board export and import
+        this.elements.exportButton.addEventListener('click', this.handleExport.bind(this));
+        this.elements.exportMarkdownButton.addEventListener('click', this.handleExportMarkdown.bind(this));
+        this.elements.importButton.addEventListener('click', () => this.elements.importFile.click());
+        this.elements.importFile.addEventListener('change', this.handleImportFile.bind(this));
+        
+        // Modal event listeners
+        this.elements.todoEditForm.addEventListener('submit', this.handleTodoEditSubmit.bind(this));
+        this.elements.modalClose.addEventListener('click', this.closeModal.bind(this));
+        this.elements.modalCancel.addEventListener('click', this.closeModal.bind(this));
+        
+        // Close modal when clicking outside
+        this.elements.todoModal.addEventListener('click', (e) => {
+            if (e.target === this.elements.todoModal) {
+                this.closeModal();
+            }
+        });
+        
+        // Keyboard shortcuts
+        document.addEventListener('keydown', this.handleKeyDown.bind(this));
+        
+        // Notifications, the popup and the address bar open the board with a location hash
+        window.addEventListener('hashchange', this.handleLocationHash.bind(this));
+        
+        // Set initial active filter button
+        this.updateActiveFilterButton();
+        
+        Logger.info('Event listeners setup completed');
     }
-}
 
-/**
- * TodoItem class representing a single todo item
- * Implements proper encapsulation and validation
- */
-/**
- * TodoGroup class representing a group/column for organizing todos
- * Implements proper encapsulation and validation
- */
-class TodoGroup {
     /**
-     * Creates a new TodoGroup instance
-     * @param {string} name - The group name
-     * @param {number} [position=0] - The position/order of the group
-     * @param {string} [id] - Optional unique identifier
-     * @throws {TodoValidationError} When name is invalid
+     * Switches the board being shown
+     * @param {string} boardId - The board ID
+     * @returns {Promise<void>}
      */
-    constructor(name, position = 0, id = null) {
-        this.validateName(name);
-        
-        this.id = id || this.generateId();
-        this.name = name.trim();
-        this.position = Number(position) || 0;
-        this.createdAt = new Date().toISOString();
-        this.updatedAt = new Date().toISOString();
+    async switchBoard(boardId) {
+        await this.todoManager.setCurrentBoard(boardId);
+        this.render();
     }
 
     /**
-     * Validates the group name
-     * @param {string} name - The name to validate
-     * @throws {TodoValidationError} When name is invalid
+     * Shows a name field in place of the board switcher
+     * @param {string} value - The initial name
+     * @param {Function} onCommit - Called with the trimmed name, empty if it was cleared
      */
-    validateName(name) {
-        if (!name || typeof name !== 'string') {
-            throw new TodoValidationError('Group name must be a non-empty string');
+    showBoardNameInput(value, onCommit) {
+        const switcher = this.elements.boardSwitcher;
+        const existing = switcher.querySelector('.board-name-input');
+        if (existing) {
+            existing.focus();
+            return;
         }
         
-        const trimmedName = name.trim();
-        if (trimmedName.length === 0) {
-            throw new TodoValidationError('Group name cannot be empty or whitespace only');
-        }
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'board-name-input';
+        input.value = value;
+        input.maxLength = CONFIG.MAX_BOARD_NAME_LENGTH;
+        input.placeholder = 'Board name';
+        input.setAttribute('aria-label', 'Board name');
         
-        if (trimmedName.length > CONFIG.MAX_GROUP_NAME_LENGTH) {
-            throw new TodoValidationError(`Group name cannot exceed ${CONFIG.MAX_GROUP_NAME_LENGTH} characters`);
-        }
+        switcher.classList.add('editing');
+        switcher.prepend(input);
+        input.focus();
+        input.select();
+        
+        const close = () => {
+            input.remove();
+            switcher.classList.remove('editing');
+        };
+        this.bindInlineEdit(input, (name) => {
+            close();
+            onCommit(name);
+        }, close);
     }
 
     /**
-     * Generates a unique identifier for the group
-     * @returns {string} A unique ID
+     * Creates a board named in the board name field and switches to it
+     * @param {string} name - The board name, empty to cancel
+     * @returns {Promise<void>}
      */
-    generateId() {
-        return 'group_' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+    async createBoard(name) {
+        if (!name) {
+            return;
+        }
+        
+        try {
+            const board = await this.todoManager.addBoard(name);
+            await this.switchBoard(board.id);
+        } catch (error) {
+            Logger.error('Failed to add board', error);
+            this.showSaveError('Failed to add board.', error);
+        }
     }
 
     /**
-     * Updates the group name
-     * @param {string} newName - The new name
-     * @throws {TodoValidationError} When new name is invalid
+     * Saves a board name edited in the board name field
+     * @param {string} boardId - The board ID
+     * @param {string} currentName - The name before editing
+     * @param {string} newName - The edited name, empty to keep the current one
+     * @returns {Promise<void>}
      */
-    updateName(newName) {
-        this.validateName(newName);
-        this.name = newName.trim();
-        this.updatedAt = new Date().toISOString();
+    async saveBoardName(boardId, currentName, newName) {
+        try {
+            if (newName && newName !== currentName) {
+                await this.todoManager.renameBoard(boardId, newName);
+            }
+            this.render();
+        } catch (error) {
+            Logger.error('Failed to rename board', error);
+            this.showSaveError('Failed to rename board.', error);
+        }
     }
 
     /**
-     * Updates the group position
-     * @param {number} newPosition - The new position
+     * Handles deleting the current board after confirmation
+     * @returns {Promise<void>}
      */
-    updatePosition(newPosition) {
-        this.position = Number(newPosition) || 0;
-        this.updatedAt = new Date().toISOString();
+    async handleBoardDelete() {
+        try {
+            const board = this.todoManager.getCurrentBoard();
+            const columns = this.todoManager.getGroups().length;
+            const todos = this.todoManager.getBoardTodos().length;
+            const message = `Its ${columns} ${columns === 1 ? 'column' : 'columns'} and ${todos} ${todos === 1 ? 'todo' : 'todos'} will be deleted too. You can undo this right after.`;
+            
+            const confirmed = await this.confirmAction(`Delete "${board.name}"?`, message, 'Delete board');
+            if (!confirmed) {
+                return;
+            }
+            
+            const success = await this.todoManager.removeBoard(board.id);
+            if (success) {
+                this.render();
+                this.showUndoToast('Board deleted');
+            }
+        } catch (error) {
+            Logger.error('Failed to delete board', error);
+            this.showSaveError('Failed to delete board.', error);
+        }
     }
 
     /**
-     * Converts the group to a plain object for storage
-     * @returns {Object} The group as a plain object
+     * Handles adding a new group by showing a draft column with a name field
+     * @param {Event} event - The click event
      */
-    toJSON() {
-        return {
-            id: this.id,
-            name: this.name,
-            position: this.position,
-            createdAt: this.createdAt,
-            updatedAt: this.updatedAt
-        };
+    handleAddGroup(event) {
+        event.preventDefault();
+        
+        const existing = this.elements.board.querySelector('.group-column-draft .group-name-input');
+        if (existing) {
+            existing.focus();
+            return;
+        }
+        
+        const draft = document.createElement('div');
+        draft.className = 'group-column group-column-draft';
+        draft.innerHTML = `
+            <div class="group-header">
+                <input type="text" class="group-name-input" maxlength="${CONFIG.MAX_GROUP_NAME_LENGTH}" placeholder="Column name" aria-label="Column name">
+            </div>
+            <div class="group-draft-hint">Enter to add, Esc to cancel</div>
+        `;
+        
+        this.elements.board.style.display = 'flex';
+        this.elements.emptyState.style.display = 'none';
+        this.elements.board.appendChild(draft);
+        
+        const input = draft.querySelector('.group-name-input');
+        input.focus();
+        draft.scrollIntoView({ inline: 'nearest', block: 'nearest' });
+        
+        this.bindInlineEdit(input, (name) => this.createGroup(name), () => this.render());
     }
 
     /**
-     * Creates a TodoGroup from a plain object
-     * @param {Object} data - The group data object
-     * @returns {TodoGroup} A new TodoGroup instance
-     * @throws {TodoValidationError} When data is invalid
+     * Creates a column named in the draft column
+     * @param {string} name - The column name, empty to discard the draft
      */
-    static fromJSON(data) {
-        if (!data || typeof data !== 'object') {
-            throw new TodoValidationError('Invalid group data format');
+    async createGroup(name) {
+        try {
+            if (name) {
+                await this.todoManager.addGroup(name);
+            }
+            this.render();
+        } catch (error) {
+            Logger.error('Failed to add group', error);
+            this.showSaveError('Failed to add column.', error);
         }
-        
-        return new TodoGroup(data.name, data.position, data.id);
     }
-}
 
-class TodoItem {
     /**
-     * Creates a new TodoItem instance
-     * @param {string} text - The todo text content
-     * @param {string} groupId - The ID of the group this todo belongs to
-     * @param {boolean} [completed=false] - Whether the todo is completed
-     * @param {string} [description=''] - Optional description for the todo
-     * @param {string} [id] - Optional unique identifier
-     * @throws {TodoValidationError} When text or groupId is invalid
+     * Wires Enter and Escape handling for an inline text field
+     * Enter or leaving the field commits the value; Escape cancels.
+     * Either callback runs at most once.
+     * @param {HTMLInputElement} input - The inline input
+     * @param {Function} onCommit - Called with the trimmed value
+     * @param {Function} onCancel - Called when editing is cancelled
      */
-    constructor(text, groupId, completed = false, description = '', id = null) {
-        this.validateText(text);
-        this.validateGroupId(groupId);
+    bindInlineEdit(input, onCommit, onCancel) {
+        let finished = false;
+        const finish = (commit) => {
+            if (finished) {
+                return;
+            }
+            finished = true;
+            if (commit) {
+                onCommit(input.value.trim());
+            } else {
+                onCancel();
+            }
+        };
         
-        this.id = id || this.generateId();
-        this.text = text.trim();
-        this.groupId = groupId;
-        this.completed = Boolean(completed);
-        this.description = description || '';
-        this.createdAt = new Date().toISOString();
-        this.updatedAt = new Date().toISOString();
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                finish(true);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                finish(false);
+            }
+        });
+        input.addEventListener('blur', () => finish(true));
     }
 
     /**
-     * Validates the todo text content
-     * @param {string} text - The text to validate
-     * @throws {TodoValidationError} When text is invalid
+     * Handles board-wide keyboard shortcuts
+     * @param {KeyboardEvent} event - The keydown event
      */
-    validateText(text) {
-        if (!text || typeof text !== 'string') {
-            throw new TodoValidationError('Todo text must be a non-empty string');
+    handleKeyDown(event) {
+        const target = event.target;
+        
+        if (event.key === 'Escape') {
+            if (this.closeOpenModal()) {
+                event.preventDefault();
+            } else if (target.classList && target.classList.contains('group-todo-input')) {
+                target.blur();
+            }
+            return;
+        }
+        
+        // Leave form fields to their native keys, including undo/redo
+        if (target.closest && target.closest('input, textarea, select, [contenteditable="true"]')) {
+            return;
         }
         
-        const trimmedText = text.trim();
-        if (trimmedText.length === 0) {
-            throw new TodoValidationError('Todo text cannot be empty or whitespace only');
+        const key = event.key.toLowerCase();
+        if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+            if (key === 'z' && !event.shiftKey) {
+                event.preventDefault();
+                this.handleUndo();
+            } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+                event.preventDefault();
+                this.handleRedo();
+            }
+            return;
         }
         
-        if (trimmedText.length > CONFIG.MAX_TODO_LENGTH) {
-            throw new TodoValidationError(`Todo text cannot exceed ${CONFIG.MAX_TODO_LENGTH} characters`);
+        if (!event.ctrlKey && !event.metaKey && !event.altKey && !document.querySelector('.modal.show')) {
+            this.handleBoardShortcut(event);
         }
     }
 
     /**
-     * Validates the group ID
-     * @param {string} groupId - The group ID to validate
-     * @throws {TodoValidationError} When groupId is invalid
+     * Handles the single-key board shortcuts
+     * Arrow keys and the card actions only apply while a card has focus, so
+     * they never take over page scrolling or buttons.
+     * @param {KeyboardEvent} event - The keydown event
      */
-    validateGroupId(groupId) {
-        if (!groupId || typeof groupId !== 'string') {
-            throw new TodoValidationError('Group ID must be a non-empty string');
+    handleBoardShortcut(event) {
+        const card = this.getFocusedCard();
+        const key = event.key;
+        const todoId = card ? card.dataset.todoId : null;
+        
+        if (key === '?') {
+            this.openShortcutsModal();
+        } else if (key === 'n') {
+            this.focusColumnInput(card);
+        } else if (key === 'j' || (key === 'ArrowDown' && card && !event.shiftKey)) {
+            this.moveCardFocus(card, 0, 1);
+        } else if (key === 'k' || (key === 'ArrowUp' && card && !event.shiftKey)) {
+            this.moveCardFocus(card, 0, -1);
+        } else if (!card) {
+            return;
+        } else if ((key === 'ArrowLeft' || key === 'ArrowRight') && event.shiftKey) {
+            this.moveCardToAdjacentColumn(card, key === 'ArrowLeft' ? -1 : 1);
+        } else if (key === 'ArrowLeft' || key === 'h') {
+            this.moveCardFocus(card, -1, 0);
+        } else if (key === 'ArrowRight' || key === 'l') {
+            this.moveCardFocus(card, 1, 0);
+        } else if (key === 'x' || key === ' ') {
+            this.handleTodoToggle(todoId);
+        } else if (key === 'e' || key === 'Enter') {
+            this.openTodoModal(todoId);
+        } else if (key === 'Delete' || key === 'Backspace') {
+            this.handleTodoDelete(todoId);
+        } else {
+            return;
         }
+        
+        event.preventDefault();
     }
 
     /**
-     * Generates a unique identifier for the todo item
-     * @returns {string} A unique ID
+     * Gets the card that has keyboard focus
+     * @returns {HTMLElement|null} The focused todo card, or null
      */
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    getFocusedCard() {
+        const active = document.activeElement;
+        return active && active.classList.contains('todo-item') && this.elements.board.contains(active) ? active : null;
     }
 
     /**
-     * Updates the todo text content
-     * @param {string} newText - The new text content
-     * @throws {TodoValidationError} When new text is invalid
+     * Focuses a todo card by ID
+     * @param {string} todoId - The todo ID
+     * @returns {boolean} True if the card is on the board
      */
-    updateText(newText) {
-        this.validateText(newText);
-        this.text = newText.trim();
-        this.updatedAt = new Date().toISOString();
+    focusCard(todoId) {
+        const card = this.elements.board.querySelector(`.todo-item[data-todo-id="${CSS.escape(todoId)}"]`);
+        if (!card) {
+            return false;
+        }
+        
+        card.focus();
+        card.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+        return true;
     }
 
     /**
-     * Toggles the completion status of the todo
+     * Moves keyboard focus to a neighbouring card
+     * Moving sideways skips empty columns and keeps the row where possible.
+     * @param {HTMLElement|null} card - The focused card, or null to focus the first card
+     * @param {number} columnStep - -1 for the column to the left, 1 for the right, 0 to stay
+     * @param {number} rowStep - -1 for the card above, 1 for the card below, 0 to stay
      */
-    toggleCompletion() {
-        this.completed = !this.completed;
-        this.updatedAt = new Date().toISOString();
+    moveCardFocus(card, columnStep, rowStep) {
+        const columns = Array.from(this.elements.board.querySelectorAll('.group-column'));
+        const cardsIn = column => Array.from(column.querySelectorAll('.todo-item'));
+        
+        if (!card) {
+            const first = columns.map(cardsIn).find(cards => cards.length > 0);
+            if (first) {
+                this.focusCard(first[0].dataset.todoId);
+            }
+            return;
+        }
+        
+        const column = card.closest('.group-column');
+        const row = cardsIn(column).indexOf(card);
+        
+        if (rowStep !== 0) {
+            const target = cardsIn(column)[row + rowStep];
+            if (target) {
+                this.focusCard(target.dataset.todoId);
+            }
+            return;
+        }
+        
+        for (let index = columns.indexOf(column) + columnStep; index >= 0 && index < columns.length; index += columnStep) {
+            const cards = cardsIn(columns[index]);
+            if (cards.length > 0) {
+                this.focusCard(cards[Math.min(row, cards.length - 1)].dataset.todoId);
+                return;
+            }
+        }
     }
 
     /**
-     * Updates the todo text content
-     * @param {string} newText - The new text content
-     * @throws {TodoValidationError} When new text is invalid
+     * Moves the focused card to the end of the column to its left or right
+     * @param {HTMLElement} card - The focused card
+     * @param {number} columnStep - -1 for the column to the left, 1 for the right
      */
-    updateText(newText) {
-        this.validateText(newText);
-        this.text = newText.trim();
-        this.updatedAt = new Date().toISOString();
+    async moveCardToAdjacentColumn(card, columnStep) {
+        const columns = Array.from(this.elements.board.querySelectorAll('.group-column'));
+        const target = columns[columns.indexOf(card.closest('.group-column')) + columnStep];
+        if (!target) {
+            return;
+        }
+        
+        const todoId = card.dataset.todoId;
+        try {
+            const success = await this.todoManager.moveTodo(todoId, target.dataset.groupId);
+            if (success) {
+                this.render();
+                this.focusCard(todoId);
+                this.warnIfOverWipLimit(target.dataset.groupId);
+            }
+        } catch (error) {
+            Logger.error('Failed to move todo', error);
+            this.showSaveError('Failed to move todo.', error);
+        }
     }
 
     /**
-     * Updates the todo description
-     * @param {string} newDescription - The new description
+     * Focuses the add-todo input of the focused card's column, or of the first column
+     * @param {HTMLElement|null} card - The focused card
      */
-    updateDescription(newDescription) {
-        this.description = newDescription || '';
-        this.updatedAt = new Date().toISOString();
+    focusColumnInput(card) {
+        const column = card ? card.closest('.group-column') : this.elements.board.querySelector('.group-column');
+        if (column) {
+            column.querySelector('.group-todo-input').focus();
+        }
     }
 
     /**
-     * Converts the todo item to a plain object for storage
-     * @returns {Object} The todo item as a plain object
+     * Closes whichever modal is open
+     * @returns {boolean} True if a modal was closed
      */
-    toJSON() {
-        return {
-            id: this.id,
-            text: this.text,
-            groupId: this.groupId,
-            completed: this.completed,
-            description: this.description,
-            createdAt: this.createdAt,
-            updatedAt: this.updatedAt
-        };
+    closeOpenModal() {
+        // The confirmation dialog opens on top of other modals, so it closes first
+        const modals = [
+            [this.elements.confirmModal, () => this.closeConfirmModal()],
+            [this.elements.todoModal, () => this.closeModal()],
+            [this.elements.settingsModal, () => this.closeSettingsModal()],
+            [this.elements.tagModal, () => this.closeTagModal()],
+            [this.elements.archiveModal, () => this.closeArchiveModal()],
+            [this.elements.snapshotModal, () => this.closeSnapshotModal()],
+            [this.elements.shortcutsModal, () => this.closeShortcutsModal()]
+        ];
+        
+        const open = modals.find(([modal]) => modal.classList.contains('show'));
+        if (!open) {
+            return false;
+        }
+        
+        open[1]();
+        return true;
     }
 
     /**
-     * Creates a TodoItem from a plain object
-     * @param {Object} data - The todo data object
-     * @returns {TodoItem} A new TodoItem instance
-     * @throws {TodoValidationError} When data is invalid
+     * Opens the keyboard shortcut help
      */
-    static fromJSON(data) {
-        if (!data || typeof data !== 'object') {
-            throw new TodoValidationError('Invalid todo data format');
-        }
-        
-        return new TodoItem(data.text, data.groupId, data.completed, data.description || '', data.id);
+    openShortcutsModal() {
+        this.elements.shortcutsModal.classList.add('show');
     }
-}
 
-/**
- * TodoManager class handling todo list operations and persistence
- * Implements comprehensive error handling and logging
- */
-class TodoManager {
-    constructor() {
-        this.todos = [];
-        this.groups = [];
-        this.currentFilter = 'active';
-        this.isInitialized = false;
+    /**
+     * Closes the keyboard shortcut help
+     */
+    closeShortcutsModal() {
+        this.elements.shortcutsModal.classList.remove('show');
     }
 
     /**
-     * Initializes the todo manager and loads existing todos and groups
+     * Undoes the most recent board change
      * @returns {Promise<void>}
      */
-    async initialize() {
+    async handleUndo() {
         try {
-            Logger.info('Initializing TodoManager');
-            await this.loadGroups();
-            await this.loadTodos();
-            
-            // Create default group if no groups exist
-            if (this.groups.length === 0) {
-                await this.createDefaultGroup();
+            const label = await this.todoManager.undo();
+            if (label) {
+                this.render();
+                this.showToast(`Undid: ${label}`, { actionLabel: 'Redo', onAction: () => this.handleRedo() });
             }
-            
-            this.isInitialized = true;
-            Logger.info('TodoManager initialized successfully');
         } catch (error) {
-            Logger.error('Failed to initialize TodoManager', error);
-            throw new StorageError('Failed to initialize todo manager');
+            Logger.error('Failed to undo', error);
+            this.showSaveError('Failed to undo.', error);
         }
     }
 
     /**
-     * Creates a default group for new installations
-     * @returns {Promise<TodoGroup>} The created default group
+     * Redoes the most recently undone board change
+     * @returns {Promise<void>}
      */
-    async createDefaultGroup() {
+    async handleRedo() {
         try {
-            Logger.info('Creating default group');
-            const defaultGroup = await this.addGroup('To Do');
-            Logger.info('Default group created successfully', { id: defaultGroup.id });
-            return defaultGroup;
-        } catch (error) {
-            Logger.error('Failed to create default group', error);
-            throw new StorageError('Failed to create default group');
+            const label = await this.todoManager.redo();
+            if (label) {
+                this.render();
+                this.showToast(`Redid: ${label}`, { actionLabel: 'Undo', onAction: () => this.handleUndo() });
+            }
+        } catch (error) {
+            Logger.error('Failed to redo', error);
+            this.showSaveError('Failed to redo.', error);
         }
     }
 
     /**
-     * Adds a new group to the board
-     * @param {string} name - The group name
-     * @param {number} [position] - Optional position, defaults to end
-     * @returns {TodoGroup} The created group
-     * @throws {TodoValidationError} When name is invalid
-     * @throws {StorageError} When storage operation fails
+     * Downloads the whole board as a JSON file
      */
-    async addGroup(name, position = null) {
+    handleExport() {
         try {
-            Logger.info('Adding new group', { name });
-            
-            const newPosition = position !== null ? position : this.groups.length;
-            const group = new TodoGroup(name, newPosition);
-            this.groups.push(group);
-            
-            // Sort groups by position
-            this.groups.sort((a, b) => a.position - b.position);
-            
-            await this.saveGroups();
-            Logger.info('Group added successfully', { id: group.id, name: group.name });
-            
-            return group;
+            const data = this.todoManager.exportBoard();
+            const date = new Date().toISOString().slice(0, 10);
+            this.downloadFile(`todo-tab-board-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+            Logger.info('Board exported', { groups: data.groups.length, todos: data.todos.length });
         } catch (error) {
-            Logger.error('Failed to add group', error);
-            if (error instanceof TodoValidationError) {
-                throw error;
-            }
-            throw new StorageError('Failed to add group');
+            Logger.error('Failed to export board', error);
+            this.showError('Failed to export board.', { error, onRetry: () => this.handleExport() });
         }
     }
 
     /**
-     * Removes a group and all its todos
-     * @param {string} groupId - The group ID
-     * @returns {boolean} True if group was removed, false if not found
-     * @throws {StorageError} When storage operation fails
+     * Downloads the whole board as a Markdown checklist
      */
-    async removeGroup(groupId) {
+    handleExportMarkdown() {
         try {
-            Logger.info('Removing group', { groupId });
-            
-            const groupIndex = this.groups.findIndex(group => group.id === groupId);
-            if (groupIndex === -1) {
-                Logger.warn('Group not found for removal', { groupId });
-                return false;
-            }
-            
-            // Remove all todos in this group
-            this.todos = this.todos.filter(todo => todo.groupId !== groupId);
-            
-            // Remove the group
-            this.groups.splice(groupIndex, 1);
-            
-            // Reorder remaining groups
-            this.groups.forEach((group, index) => {
-                group.updatePosition(index);
-            });
-            
-            await Promise.all([this.saveGroups(), this.saveTodos()]);
-            
-            Logger.info('Group removed successfully', { groupId });
-            return true;
+            const date = new Date().toISOString().slice(0, 10);
+            this.downloadFile(`todo-tab-board-${date}.md`, this.todoManager.exportMarkdown(), 'text/markdown');
+            Logger.info('Board exported as Markdown');
         } catch (error) {
-            Logger.error('Failed to remove group', error);
-            throw new StorageError('Failed to remove group');
+            Logger.error('Failed to export Markdown', error);
+            this.showError('Failed to export board.', { error, onRetry: () => this.handleExportMarkdown() });
         }
     }
 
     /**
-     * Updates a group's name
-     * @param {string} groupId - The group ID
-     * @param {string} newName - The new name
-     * @returns {boolean} True if group was updated, false if not found
-     * @throws {TodoValidationError} When new name is invalid
-     * @throws {StorageError} When storage operation fails
+     * Offers text content to the user as a file download
+     * @param {string} filename - The suggested file name
+     * @param {string} content - The file content
+     * @param {string} type - The MIME type
+     */
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Handles a board file chosen for import
+     * @param {Event} event - The file input change event
      */
-    async updateGroupName(groupId, newName) {
+    async handleImportFile(event) {
+        const input = event.target;
+        const file = input.files && input.files[0];
+        input.value = '';
+        if (!file) {
+            return;
+        }
+        
         try {
-            Logger.info('Updating group name', { groupId, newName });
+            const content = await file.text();
             
-            const group = this.groups.find(group => group.id === groupId);
-            if (!group) {
-                Logger.warn('Group not found for name update', { groupId });
-                return false;
+            // Markdown and plain-text lists are added to the board as checklists
+            if (/\.(md|markdown|txt)$/i.test(file.name)) {
+                await this.importChecklist(content, null);
+                return;
             }
             
-            group.updateName(newName);
-            await this.saveGroups();
+            let data;
+            try {
+                data = JSON.parse(content);
+            } catch (error) {
+                throw new TodoValidationError('File is not valid JSON');
+            }
             
-            Logger.info('Group name updated successfully', { groupId, newName });
-            return true;
+            const mode = await this.showDialog({
+                title: `Import into "${this.todoManager.getCurrentBoard().name}"`,
+                message: `Replace this board's columns and todos with this file, or add its columns next to the existing ones? Other boards are not changed.`,
+                actions: [
+                    { label: 'Cancel', value: null },
+                    { label: 'Add alongside', value: 'merge' },
+                    { label: 'Replace board', value: 'replace', className: 'btn-danger' }
+                ]
+            });
+            if (!mode) {
+                return;
+            }
+            
+            const counts = await this.todoManager.importBoard(data, mode);
+            
+            this.render();
+            this.showUndoToast(`Imported ${counts.groups} columns and ${counts.todos} todos`);
         } catch (error) {
-            Logger.error('Failed to update group name', error);
+            Logger.error('Failed to import board', error);
             if (error instanceof TodoValidationError) {
-                throw error;
+                this.showError(`Import failed: ${error.message}`);
+            } else {
+                this.showSaveError('Failed to import board.', error);
             }
-            throw new StorageError('Failed to update group name');
         }
     }
 
     /**
-     * Adds a new todo item to a specific group
-     * @param {string} text - The todo text content
-     * @param {string} groupId - The group ID to add the todo to
-     * @returns {TodoItem} The created todo item
-     * @throws {TodoValidationError} When text or groupId is invalid
-     * @throws {StorageError} When storage operation fails
+     * Bulk-creates todos from a Markdown or plain-text list and reports the result
+     * @param {string} text - The list text
+     * @param {string|null} groupId - Column for todos that precede any heading
+     * @returns {Promise<boolean>} True if anything was imported
      */
-    async addTodo(text, groupId) {
+    async importChecklist(text, groupId) {
         try {
-            Logger.info('Adding new todo', { text: text.substring(0, 50) + '...', groupId });
-            
-            // Validate that the group exists
-            const group = this.groups.find(g => g.id === groupId);
-            if (!group) {
-                throw new TodoValidationError('Group not found');
-            }
-            
-            const todo = new TodoItem(text, groupId);
-            this.todos.push(todo);
-            
-            await this.saveTodos();
-            Logger.info('Todo added successfully', { id: todo.id, groupId });
+            const counts = await this.todoManager.importChecklist(text, groupId);
+            this.render();
             
-            return todo;
+            const columns = counts.groups > 0 ? ` and ${counts.groups} ${counts.groups === 1 ? 'column' : 'columns'}` : '';
+            this.showUndoToast(`Added ${counts.todos} ${counts.todos === 1 ? 'todo' : 'todos'}${columns}`);
+            return true;
         } catch (error) {
-            Logger.error('Failed to add todo', error);
+            Logger.error('Failed to import checklist', error);
             if (error instanceof TodoValidationError) {
-                throw error;
+                this.showError(`Import failed: ${error.message}`);
+            } else {
+                this.showSaveError('Failed to add todos.', error);
             }
-            throw new StorageError('Failed to add todo item');
+            return false;
+        }
+    }
+
+    /**
+     * Handles pasting a multi-line list into a column's todo input
+     * @param {ClipboardEvent} event - The paste event
+     * @param {string} groupId - The group ID
+     */
+    handleGroupTodoPaste(event, groupId) {
+        const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+        
+        // Single lines paste into the input as usual
+        if (!text || !/\S.*\n.*\S/s.test(text.trim())) {
+            return;
         }
+        
+        event.preventDefault();
+        this.importChecklist(text, groupId);
     }
 
     /**
-     * Removes a todo item from the list
-     * @param {string} id - The todo item ID
-     * @returns {boolean} True if todo was removed, false if not found
-     * @throws {StorageError} When storage operation fails
+     * Handles filter button clicks
+     * @param {Event} event - The click event
      */
-    async removeTodo(id) {
+    handleFilterClick(event) {
         try {
-            Logger.info('Removing todo', { id });
-            
-            const index = this.todos.findIndex(todo => todo.id === id);
-            if (index === -1) {
-                Logger.warn('Todo not found for removal', { id });
-                return false;
-            }
+            const button = event.target;
+            const filter = button.dataset.filter;
             
-            this.todos.splice(index, 1);
-            await this.saveTodos();
+            this.todoManager.setFilter(filter);
+            this.updateActiveFilterButton();
+            this.render();
             
-            Logger.info('Todo removed successfully', { id });
-            return true;
         } catch (error) {
-            Logger.error('Failed to remove todo', error);
-            throw new StorageError('Failed to remove todo item');
+            Logger.error('Failed to handle filter click', error);
         }
     }
 
+    /**
+     * Handles typing in the search box
+     */
+    handleSearchInput() {
+        this.todoManager.setSearchQuery(this.elements.searchInput.value);
+        this.render();
+    }
 
+    /**
+     * Clears the search and the column and date filters
+     */
+    handleClearFilters() {
+        this.todoManager.clearFilters();
+        this.elements.searchInput.value = '';
+        this.render();
+    }
 
     /**
-     * Moves a todo item to a different group
-     * @param {string} todoId - The todo item ID
-     * @param {string} newGroupId - The new group ID
-     * @returns {boolean} True if todo was moved, false if not found
-     * @throws {StorageError} When storage operation fails
+     * Syncs the filter controls with the manager and shows how many todos match
      */
-    async moveTodo(todoId, newGroupId) {
-        try {
-            Logger.info('Moving todo to new group', { todoId, newGroupId });
-            
-            // Validate that the new group exists
-            const newGroup = this.groups.find(g => g.id === newGroupId);
-            if (!newGroup) {
-                Logger.warn('Target group not found', { newGroupId });
-                return false;
-            }
-            
-            const todo = this.todos.find(todo => todo.id === todoId);
-            if (!todo) {
-                Logger.warn('Todo not found for move', { todoId });
-                return false;
-            }
-            
-            // Check if todo is already in the target group
-            if (todo.groupId === newGroupId) {
-                Logger.info('Todo already in target group', { todoId, newGroupId });
-                return true; // Consider this a success
-            }
-            
-            // Update the todo's group
-            todo.groupId = newGroupId;
-            todo.updatedAt = new Date().toISOString();
-            
-            await this.saveTodos();
-            
-            Logger.info('Todo moved successfully', { todoId, oldGroupId: todo.groupId, newGroupId });
-            return true;
-        } catch (error) {
-            Logger.error('Failed to move todo', error);
-            throw new StorageError('Failed to move todo to new group');
+    renderFilters() {
+        const manager = this.todoManager;
+        
+        // Drop a column filter whose column no longer exists
+        if (manager.columnFilter && !manager.getGroups().some(group => group.id === manager.columnFilter)) {
+            manager.setColumnFilter(null);
+        }
+        
+        this.elements.columnFilter.innerHTML = [
+            '<option value="">All columns</option>',
+            ...manager.getGroups().map(group => `<option value="${this.escapeAttribute(group.id)}">${this.escapeHtml(group.name)}</option>`)
+        ].join('');
+        this.elements.columnFilter.value = manager.columnFilter || '';
+        this.elements.dueFilter.value = manager.dueFilter;
+        
+        const tags = manager.getAllTags();
+        if (manager.tagFilter && !tags.some(entry => entry.tag === manager.tagFilter)) {
+            manager.setTagFilter(null);
         }
+        this.elements.tagFilter.innerHTML = [
+            '<option value="">All tags</option>',
+            ...tags.map(entry => `<option value="${this.escapeHtml(entry.tag)}">${this.escapeHtml(entry.tag)} (${entry.count})</option>`)
+        ].join('');
+        this.elements.tagFilter.value = manager.tagFilter || '';
+        this.elements.tagFilter.style.display = tags.length > 0 ? '' : 'none';
+        
+        const hasFilters = manager.hasActiveFilters();
+        this.elements.clearFilters.style.display = hasFilters ? 'inline-block' : 'none';
+        this.elements.filterSummary.textContent = hasFilters
+            ? `${manager.getFilteredTodos().length} matching`
+            : '';
+    }
+
+    /**
+     * Updates the active filter button based on current filter
+     */
+    updateActiveFilterButton() {
+        document.querySelectorAll('.filter-button').forEach(btn => {
+            btn.classList.remove('active');
+            if (btn.dataset.filter === this.todoManager.currentFilter) {
+                btn.classList.add('active');
+            }
+        });
     }
 
     /**
-     * Updates a todo item's text and description
-     * @param {string} id - The todo item ID
-     * @param {string} newText - The new text content
-     * @param {string} newDescription - The new description
-     * @returns {boolean} True if todo was updated, false if not found
-     * @throws {TodoValidationError} When new text is invalid
-     * @throws {StorageError} When storage operation fails
+     * Handles clear completed button click
+     * @param {Event} event - The click event
      */
-    async updateTodo(id, newText, newDescription) {
+    async handleClearCompleted(event) {
+        event.preventDefault();
+        
         try {
-            Logger.info('Updating todo', { id, newText: newText.substring(0, 50) + '...' });
-            
-            const todo = this.todos.find(todo => todo.id === id);
-            if (!todo) {
-                Logger.warn('Todo not found for update', { id });
-                return false;
+            const archivedCount = await this.todoManager.clearCompleted();
+            if (archivedCount > 0) {
+                this.render();
+                this.showUndoToast(`Archived ${archivedCount} completed ${archivedCount === 1 ? 'todo' : 'todos'}`);
+                Logger.info('Completed todos archived', { count: archivedCount });
             }
-            
-            todo.updateText(newText);
-            todo.updateDescription(newDescription);
-            await this.saveTodos();
-            
-            Logger.info('Todo updated successfully', { id });
-            return true;
         } catch (error) {
-            Logger.error('Failed to update todo', error);
-            if (error instanceof TodoValidationError) {
-                throw error;
-            }
-            throw new StorageError('Failed to update todo');
+            Logger.error('Failed to archive completed todos', error);
+            this.showSaveError('Failed to archive completed todos.', error);
         }
     }
 
     /**
-     * Toggles the completion status of a todo item
-     * @param {string} id - The todo item ID
-     * @returns {boolean} True if todo was updated, false if not found
-     * @throws {StorageError} When storage operation fails
+     * Handles todo item checkbox click
+     * @param {string} todoId - The todo item ID
      */
-    async toggleTodo(id) {
+    async handleTodoToggle(todoId) {
         try {
-            Logger.info('Toggling todo completion', { id });
-            
-            const todo = this.todos.find(todo => todo.id === id);
-            if (!todo) {
-                Logger.warn('Todo not found for toggle', { id });
-                return false;
+            const success = await this.todoManager.toggleTodo(todoId);
+            if (success) {
+                this.render();
             }
-            
-            todo.toggleCompletion();
-            await this.saveTodos();
-            
-            Logger.info('Todo completion toggled successfully', { id, completed: todo.completed });
-            return true;
         } catch (error) {
             Logger.error('Failed to toggle todo', error);
-            throw new StorageError('Failed to toggle todo completion');
+            this.showSaveError('Failed to update todo.', error);
         }
     }
 
     /**
-     * Removes all completed todo items
-     * @returns {number} The number of todos removed
-     * @throws {StorageError} When storage operation fails
+     * Handles todo item deletion
+     * @param {string} todoId - The todo item ID
      */
-    async clearCompleted() {
+    async handleTodoDelete(todoId) {
         try {
-            Logger.info('Clearing completed todos');
-            
-            const completedCount = this.todos.filter(todo => todo.completed).length;
-            this.todos = this.todos.filter(todo => !todo.completed);
-            
-            await this.saveTodos();
-            
-            Logger.info('Completed todos cleared successfully', { removedCount: completedCount });
-            return completedCount;
+            const success = await this.todoManager.removeTodo(todoId);
+            if (success) {
+                this.render();
+                this.showUndoToast('Todo deleted');
+            }
         } catch (error) {
-            Logger.error('Failed to clear completed todos', error);
-            throw new StorageError('Failed to clear completed todos');
+            Logger.error('Failed to delete todo', error);
+            this.showSaveError('Failed to delete todo.', error);
         }
     }
 
     /**
-     * Sets the current filter for displaying todos
-     * @param {string} filter - The filter type ('all', 'active', 'completed')
+     * Re-renders after another tab changed the board, keeping in-progress input
      */
-    setFilter(filter) {
-        if (!['all', 'active', 'completed'].includes(filter)) {
-            Logger.warn('Invalid filter type', { filter });
+    handleRemoteChange() {
+        // Re-rendering mid-drag, mid-rename or while typing a column setting would remove the element in use
+        if (this.elements.board.querySelector('.dragging, .group-name-input, .group-settings input:focus')) {
+            this.pendingRemoteRender = true;
             return;
         }
         
-        this.currentFilter = filter;
-        Logger.info('Filter updated', { filter });
+        const active = document.activeElement;
+        const activeForm = active && active.classList.contains('group-todo-input') ? active.closest('.group-todo-form') : null;
+        const draft = activeForm ? {
+            groupId: activeForm.dataset.groupId,
+            value: active.value,
+            selectionStart: active.selectionStart,
+            selectionEnd: active.selectionEnd
+        } : null;
+        
+        // Close the modal if the todo being edited was deleted elsewhere
+        const editingId = this.elements.todoEditForm.dataset.todoId;
+        if (editingId && !this.todoManager.todos.some(todo => todo.id === editingId)) {
+            this.closeModal();
+        }
+        
+        this.render();
+        if (this.elements.archiveModal.classList.contains('show')) {
+            this.renderArchiveList();
+        }
+        
+        if (draft) {
+            const input = this.elements.board.querySelector(`.group-todo-form[data-group-id="${draft.groupId}"] .group-todo-input`);
+            if (input) {
+                input.value = draft.value;
+                input.focus();
+                input.setSelectionRange(draft.selectionStart, draft.selectionEnd);
+            }
+        }
+        
+        Logger.info('Board re-rendered after remote change');
     }
 
     /**
-     * Gets the filtered list of todos based on current filter
-     * @returns {TodoItem[]} The filtered todo list
+     * Renders the complete board interface
      */
-    getFilteredTodos() {
-        switch (this.currentFilter) {
-            case 'active':
-                return this.todos.filter(todo => !todo.completed);
-            case 'completed':
-                return this.todos.filter(todo => todo.completed);
-            default:
-                return [...this.todos];
+    render() {
+        try {
+            // Re-rendering replaces every card, so remember which one had focus
+            // and fall back to its neighbours if it is gone afterwards
+            const focused = this.getFocusedCard();
+            const focusIds = focused ? [focused, focused.nextElementSibling, focused.previousElementSibling]
+                .filter(card => card && card.classList.contains('todo-item'))
+                .map(card => card.dataset.todoId) : [];
+            
+            this.pendingRemoteRender = false;
+            this.renderBoardSwitcher();
+            this.renderFilters();
+            this.renderBoard();
+            this.renderStats();
+            this.updateEmptyState();
+            
+            focusIds.some(todoId => this.focusCard(todoId));
+        } catch (error) {
+            Logger.error('Failed to render board interface', error);
         }
     }
 
     /**
-     * Gets todos for a specific group
-     * @param {string} groupId - The group ID
-     * @returns {TodoItem[]} The todos in the group
+     * Renders the board picker with the current board selected
      */
-    getTodosForGroup(groupId) {
-        return this.todos.filter(todo => todo.groupId === groupId);
+    renderBoardSwitcher() {
+        const boards = this.todoManager.getBoards();
+        
+        this.elements.boardSelect.innerHTML = boards
+            .map(board => `<option value="${this.escapeAttribute(board.id)}">${this.escapeHtml(board.name)}</option>`)
+            .join('');
+        this.elements.boardSelect.value = this.todoManager.currentBoardId;
+        this.elements.deleteBoardButton.disabled = boards.length <= 1;
+        this.elements.deleteBoardButton.title = boards.length <= 1 ? 'The only board cannot be deleted' : 'Delete this board';
     }
 
     /**
-     * Gets all groups sorted by position
-     * @returns {TodoGroup[]} The sorted groups
+     * Creates column options grouped by board for the column pickers
+     * @param {string|null} selectedId - The column to select
+     * @returns {string} HTML string of options, in one optgroup per board when there are several
      */
-    getGroups() {
-        return [...this.groups].sort((a, b) => a.position - b.position);
+    createColumnOptionsHTML(selectedId) {
+        const boards = this.todoManager.getBoards();
+        
+        return boards.map(board => {
+            const options = this.todoManager.getGroups(board.id).map(group => `
+                <option value="${this.escapeAttribute(group.id)}" ${group.id === selectedId ? 'selected' : ''}>${this.escapeHtml(group.name)}</option>
+            `).join('');
+            return boards.length > 1 && options
+                ? `<optgroup label="${this.escapeAttribute(board.name)}">${options}</optgroup>`
+                : options;
+        }).join('');
     }
 
     /**
-     * Gets statistics about the todo list
-     * @returns {Object} Statistics object with counts
+     * Gets a column's display name, prefixed with its board when there are several boards
+     * @param {TodoGroup} group - The column
+     * @returns {string} The name as plain text
      */
-    getStats() {
-        const total = this.todos.length;
-        const completed = this.todos.filter(todo => todo.completed).length;
-        const active = total - completed;
-        
-        return { total, active, completed };
+    getColumnLabel(group) {
+        const board = this.todoManager.boards.find(b => b.id === group.boardId);
+        return board && this.todoManager.boards.length > 1 ? `${board.name} › ${group.name}` : group.name;
     }
 
     /**
-     * Loads groups from Chrome storage
-     * @returns {Promise<void>}
-     * @throws {StorageError} When storage operation fails
+     * Renders the board with all groups as columns
      */
-    async loadGroups() {
-        try {
-            const result = await chrome.storage.sync.get(CONFIG.GROUPS_STORAGE_KEY);
-            const storedGroups = result[CONFIG.GROUPS_STORAGE_KEY] || [];
-            
-            this.groups = storedGroups.map(groupData => {
-                try {
-                    return TodoGroup.fromJSON(groupData);
-                } catch (error) {
-                    Logger.warn('Invalid group data found, skipping', { groupData, error: error.message });
-                    return null;
-                }
-            }).filter(group => group !== null);
-            
-            Logger.info('Groups loaded from storage', { count: this.groups.length });
-        } catch (error) {
-            Logger.error('Failed to load groups from storage', error);
-            throw new StorageError('Failed to load groups from storage');
-        }
+    renderBoard() {
+        const board = this.elements.board;
+        const columnFilter = this.todoManager.columnFilter;
+        const groups = this.todoManager.getGroups().filter(group => !columnFilter || group.id === columnFilter);
+        
+        board.innerHTML = '';
+        
+        groups.forEach(group => {
+            const groupElement = this.createGroupElement(group);
+            board.appendChild(groupElement);
+        });
     }
 
     /**
-     * Loads todos from Chrome storage
-     * @returns {Promise<void>}
-     * @throws {StorageError} When storage operation fails
+     * Creates a DOM element for a group/column
+     * @param {TodoGroup} group - The group
+     * @returns {HTMLElement} The group element
      */
-    async loadTodos() {
-        try {
-            const result = await chrome.storage.sync.get(CONFIG.STORAGE_KEY);
-            const storedTodos = result[CONFIG.STORAGE_KEY] || [];
-            
-            this.todos = storedTodos.map(todoData => {
-                try {
-                    return TodoItem.fromJSON(todoData);
-                } catch (error) {
-                    Logger.warn('Invalid todo data found, skipping', { todoData, error: error.message });
-                    return null;
-                }
-            }).filter(todo => todo !== null);
-            
-            Logger.info('Todos loaded from storage', { count: this.todos.length });
-        } catch (error) {
-            Logger.error('Failed to load todos from storage', error);
-            throw new StorageError('Failed to load todos from storage');
+    createGroupElement(group) {
+        const div = document.createElement('div');
+        const isOverLimit = this.todoManager.isOverWipLimit(group.id);
+        div.className = `group-column ${group.color ? 'has-color' : ''} ${isOverLimit ? 'over-wip-limit' : ''}`;
+        div.dataset.groupId = group.id;
+        if (group.color) {
+            div.style.setProperty('--group-color', group.color);
         }
+        
+        const todos = this.todoManager.getTodosForGroup(group.id);
+        const filteredTodos = this.getFilteredTodosForGroup(todos);
+        const settingsOpen = this.openGroupSettingsId === group.id;
+        
+        div.innerHTML = `
+            <div class="group-header" draggable="true" data-group-id="${this.escapeAttribute(group.id)}">
+                <span class="group-name editable" data-group-id="${this.escapeAttribute(group.id)}">${this.escapeHtml(group.name)}</span>
+                <div class="group-controls">
+                    ${this.createGroupBadgesHTML(group, isOverLimit)}
+                    <select class="group-sort-select" data-group-id="${this.escapeAttribute(group.id)}" aria-label="Sort column" title="Sort column">
+                        ${this.createSortOptionsHTML(group.sortBy)}
+                    </select>
+                    <button class="group-control-button settings ${settingsOpen ? 'active' : ''}" data-group-id="${this.escapeAttribute(group.id)}" aria-label="Column settings" aria-expanded="${settingsOpen}" title="Column settings">⚙</button>
+                    <button class="group-control-button delete" data-group-id="${this.escapeAttribute(group.id)}" aria-label="Delete group">×</button>
+                </div>
+            </div>
+            ${settingsOpen ? this.createGroupSettingsHTML(group) : ''}
+            <div class="group-todo-input-section">
+                <form class="group-todo-form" data-group-id="${this.escapeAttribute(group.id)}">
+                    <input 
+                        type="text" 
+                        class="group-todo-input" 
+                        placeholder="Add a task..."
+                        maxlength="200"
+                        required
+                    >
+                    <button type="submit" class="group-add-button" aria-label="Add todo">+</button>
+                </form>
+            </div>
+            <div class="group-todo-list">
+                ${filteredTodos.map(todo => this.createTodoHTML(todo)).join('')}
+            </div>
+        `;
+        
+        // Add event listeners
+        this.setupGroupEventListeners(div, group);
+        
+        return div;
     }
 
     /**
-     * Saves groups to Chrome storage
-     * @returns {Promise<void>}
-     * @throws {StorageError} When storage operation fails
+     * Creates the done column and work-in-progress badges for a column header
+     * @param {TodoGroup} group - The group
+     * @param {boolean} isOverLimit - Whether the column is over its WIP limit
+     * @returns {string} The badges HTML
      */
-    async saveGroups() {
-        try {
-            const groupData = this.groups.map(group => group.toJSON());
-            await chrome.storage.sync.set({ [CONFIG.GROUPS_STORAGE_KEY]: groupData });
-            Logger.info('Groups saved to storage', { count: this.groups.length });
-        } catch (error) {
-            Logger.error('Failed to save groups to storage', error);
-            throw new StorageError('Failed to save groups to storage');
+    createGroupBadgesHTML(group, isOverLimit) {
+        const badges = [];
+        
+        if (group.isDoneColumn) {
+            badges.push('<span class="group-badge done" title="Todos moved here are completed">Done</span>');
         }
+        
+        if (group.wipLimit > 0) {
+            const count = this.todoManager.getWipCount(group.id);
+            const title = isOverLimit
+                ? `Over the WIP limit: ${count} open todos, limit ${group.wipLimit}`
+                : `${count} of ${group.wipLimit} open todos allowed`;
+            badges.push(`<span class="group-badge wip ${isOverLimit ? 'over-limit' : ''}" title="${title}">${count}/${group.wipLimit}</span>`);
+        }
+        
+        return badges.join('');
     }
 
     /**
-     * Saves todos to Chrome storage
-     * @returns {Promise<void>}
-     * @throws {StorageError} When storage operation fails
+     * Creates the settings panel shown under a column header
+     * @param {TodoGroup} group - The group
+     * @returns {string} The panel HTML
      */
-    async saveTodos() {
-        try {
-            const todoData = this.todos.map(todo => todo.toJSON());
-            await chrome.storage.sync.set({ [CONFIG.STORAGE_KEY]: todoData });
-            Logger.info('Todos saved to storage', { count: this.todos.length });
-        } catch (error) {
-            Logger.error('Failed to save todos to storage', error);
-            throw new StorageError('Failed to save todos to storage');
-        }
+    createGroupSettingsHTML(group) {
+        return `
+            <div class="group-settings" data-group-id="${this.escapeAttribute(group.id)}">
+                <div class="group-setting">
+                    <label for="groupColor-${this.escapeAttribute(group.id)}">Color</label>
+                    <input type="color" id="groupColor-${this.escapeAttribute(group.id)}" class="group-color-input" value="${group.color || CONFIG.TAG_COLORS[0].toLowerCase()}">
+                    <button type="button" class="group-color-clear" ${group.color ? '' : 'disabled'}>No color</button>
+                </div>
+                <div class="group-setting">
+                    <label for="groupWip-${this.escapeAttribute(group.id)}">WIP limit</label>
+                    <input type="number" id="groupWip-${this.escapeAttribute(group.id)}" class="group-wip-input" min="0" max="${CONFIG.MAX_WIP_LIMIT}" value="${group.wipLimit}">
+                    <span class="group-setting-hint">0 for none</span>
+                </div>
+                <label class="group-setting">
+                    <input type="checkbox" class="group-done-input" ${group.isDoneColumn ? 'checked' : ''}>
+                    <span>Done column: todos moved here are completed, and reopened when moved out</span>
+                </label>
+            </div>
+        `;
     }
-}
 
-/**
- * TodoUI class handling DOM manipulation and user interface
- * Implements proper error handling and event management
- */
-class TodoUI {
-    constructor(todoManager) {
-        this.todoManager = todoManager;
-        this.elements = {};
-        this.isInitialized = false;
+    /**
+     * Creates the option list for a column's sort control
+     * @param {string} selected - The group's current sort option
+     * @returns {string} The options HTML
+     */
+    createSortOptionsHTML(selected) {
+        const labels = {
+            manual: 'Manual',
+            priority: 'Priority',
+            dueDate: 'Due date',
+            createdAt: 'Newest',
+            alphabetical: 'A–Z'
+        };
+        
+        return CONFIG.SORT_OPTIONS
+            .map(option => `<option value="${option}" ${option === selected ? 'selected' : ''}>${labels[option]}</option>`)
+            .join('');
     }
 
     /**
-     * Initializes the UI components and event listeners
-     * @returns {Promise<void>}
-     * @throws {DOMError} When DOM elements cannot be found
-     */
-    async initialize() {
-        try {
-            Logger.info('Initializing TodoUI');
-            
-            this.initializeElements();
-            this.setupEventListeners();
-            this.updateDateDisplay();
-            
-            this.isInitialized = true;
-            Logger.info('TodoUI initialized successfully');
-        } catch (error) {
-            Logger.error('Failed to initialize TodoUI', error);
-            throw new DOMError('Failed to initialize user interface');
-        }
+     * Creates HTML for a todo item
+     * @param {TodoItem} todo - The todo item
+     * @returns {string} The todo HTML
+     */
+    createTodoHTML(todo) {
+        const dueStatus = todo.getDueStatus();
+        
+        return `
+            <div class="todo-item ${todo.completed ? 'completed' : ''} ${dueStatus ? `due-${dueStatus}` : ''} priority-${todo.priority}" data-todo-id="${this.escapeAttribute(todo.id)}" draggable="true" tabindex="0">
+                <div class="todo-checkbox ${todo.completed ? 'checked' : ''}" data-todo-id="${this.escapeAttribute(todo.id)}"></div>
+                <div class="todo-body">
+                    <span class="todo-text" data-todo-id="${this.escapeAttribute(todo.id)}">${this.highlightMatches(todo.text)}</span>
+                    ${this.createTodoSourceHTML(todo)}
+                    ${this.createTodoMetaHTML(todo, dueStatus)}
+                </div>
+                <button class="todo-delete" data-todo-id="${this.escapeAttribute(todo.id)}" aria-label="Delete todo">×</button>
+            </div>
+        `;
     }
 
     /**
-     * Initializes DOM element references
-     * @throws {DOMError} When required elements cannot be found
+     * Creates the link to the web page a todo was captured from
+     * @param {TodoItem} todo - The todo item
+     * @returns {string} The link HTML, or an empty string
      */
-    initializeElements() {
-        const requiredElements = {
-            board: 'board',
-            emptyState: 'emptyState',
-            todoStats: 'todoStats',
-            activeCount: 'activeCount',
-            completedCount: 'completedCount',
-            clearCompleted: 'clearCompleted',
-            dateDisplay: 'dateDisplay',
-            addGroupButton: 'addGroupButton',
-            addFirstGroupButton: 'addFirstGroupButton',
-            todoModal: 'todoModal',
-            todoEditForm: 'todoEditForm',
-            todoTitle: 'todoTitle',
-            todoDescription: 'todoDescription',
-            modalClose: 'modalClose',
-            modalCancel: 'modalCancel'
-        };
-
-        for (const [key, id] of Object.entries(requiredElements)) {
-            const element = document.getElementById(id);
-            if (!element) {
-                throw new DOMError(`Required element not found: ${id}`);
-            }
-            this.elements[key] = element;
+    createTodoSourceHTML(todo) {
+        if (!todo.source) {
+            return '';
         }
-
-        Logger.info('DOM elements initialized successfully');
+        
+        const { url, title } = todo.source;
+        const label = title || new URL(url).hostname;
+        
+        return `<a class="todo-source" href="${this.escapeAttribute(url)}" target="_blank" rel="noopener noreferrer" title="${this.escapeAttribute(url)}">🔗 ${this.highlightMatches(label)}</a>`;
     }
 
     /**
-     * Sets up event listeners for user interactions
+     * Creates HTML for the details row under a todo's text
+     * @param {TodoItem} todo - The todo item
+     * @param {string|null} dueStatus - The todo's due status
+     * @returns {string} The meta HTML, or an empty string if there is nothing to show
      */
-    setupEventListeners() {
-        // Add group buttons
-        this.elements.addGroupButton.addEventListener('click', this.handleAddGroup.bind(this));
-        this.elements.addFirstGroupButton.addEventListener('click', this.handleAddGroup.bind(this));
+    createTodoMetaHTML(todo, dueStatus) {
+        const parts = [];
         
-        // Filter buttons
-        document.querySelectorAll('.filter-button').forEach(button => {
-            button.addEventListener('click', this.handleFilterClick.bind(this));
-        });
+        if (todo.priority !== 'none') {
+            const label = todo.priority.charAt(0).toUpperCase() + todo.priority.slice(1);
+            parts.push(`<span class="todo-priority priority-${todo.priority}" title="${label} priority">${label}</span>`);
+        }
         
-        // Clear completed button
-        this.elements.clearCompleted.addEventListener('click', this.handleClearCompleted.bind(this));
+        if (todo.subtasks.length > 0) {
+            const progress = todo.getSubtaskProgress();
+            const complete = progress.done === progress.total ? 'complete' : '';
+            parts.push(`<span class="todo-subtasks ${complete}" title="${progress.done} of ${progress.total} subtasks done">☑ ${progress.done}/${progress.total}</span>`);
+        }
         
-        // Modal event listeners
-        this.elements.todoEditForm.addEventListener('submit', this.handleTodoEditSubmit.bind(this));
-        this.elements.modalClose.addEventListener('click', this.closeModal.bind(this));
-        this.elements.modalCancel.addEventListener('click', this.closeModal.bind(this));
+        if (todo.recurrence) {
+            const label = TodoItem.describeRecurrence(todo.recurrence);
+            parts.push(`<span class="todo-recurrence" title="Repeats: ${label}">↻ ${label}</span>`);
+        }
         
-        // Close modal when clicking outside
-        this.elements.todoModal.addEventListener('click', (e) => {
-            if (e.target === this.elements.todoModal) {
-                this.closeModal();
-            }
+        if (todo.reminderAt && !todo.completed) {
+            const reminder = new Date(todo.reminderAt);
+            const label = reminder.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+            parts.push(`<span class="todo-reminder" title="Reminder ${this.escapeHtml(label)}">🔔 ${this.escapeHtml(label)}</span>`);
+        }
+        
+        if (todo.dueDate) {
+            parts.push(`<span class="todo-due ${dueStatus ? `due-${dueStatus}` : ''}" title="Due ${todo.dueDate}">${this.escapeHtml(this.formatDueDate(todo.dueDate, dueStatus))}</span>`);
+        }
+        
+        todo.tags.forEach(tag => {
+            const active = tag === this.todoManager.tagFilter ? 'active' : '';
+            parts.push(`<button type="button" class="todo-tag ${active}" data-tag="${this.escapeHtml(tag)}" style="--tag-color: ${this.todoManager.getTagColor(tag)}" title="Show only ${this.escapeHtml(tag)}">${this.highlightMatches(tag)}</button>`);
         });
         
-        // Set initial active filter button
-        this.updateActiveFilterButton();
+        const snippet = this.createSearchSnippetHTML(todo);
+        const meta = parts.length > 0 ? `<div class="todo-meta">${parts.join('')}</div>` : '';
         
-        Logger.info('Event listeners setup completed');
+        return meta + snippet;
     }
 
     /**
-     * Handles adding a new group
-     * @param {Event} event - The click event
-     */
-    async handleAddGroup(event) {
-        event.preventDefault();
+     * Creates a highlighted description excerpt when the search matches the description
+     * @param {TodoItem} todo - The todo item
+     * @returns {string} The snippet HTML, or an empty string
+     */
+    createSearchSnippetHTML(todo) {
+        const terms = this.todoManager.getSearchTerms();
+        const description = todo.description.toLowerCase();
+        const first = terms
+            .map(term => description.indexOf(term))
+            .filter(index => index !== -1)
+            .sort((a, b) => a - b)[0];
         
-        try {
-            const groupName = prompt('Enter column name:');
-            if (!groupName || groupName.trim() === '') {
-                return;
-            }
-            
-            await this.todoManager.addGroup(groupName.trim());
-            this.render();
-            
-        } catch (error) {
-            Logger.error('Failed to add group', error);
-            this.showError('Failed to add column. Please try again.');
+        if (first === undefined) {
+            return '';
         }
+        
+        const start = Math.max(0, first - 30);
+        const excerpt = todo.description.slice(start, start + 90).replace(/\s+/g, ' ');
+        const prefix = start > 0 ? '…' : '';
+        const suffix = start + 90 < todo.description.length ? '…' : '';
+        
+        return `<div class="todo-snippet">${prefix}${this.highlightMatches(excerpt)}${suffix}</div>`;
     }
 
     /**
-     * Handles filter button clicks
-     * @param {Event} event - The click event
+     * Escapes text and wraps any search term matches in mark elements
+     * @param {string} text - The text to render
+     * @param {string[]} [terms] - Terms to highlight, defaults to the board search
+     * @returns {string} The escaped, highlighted HTML
      */
-    handleFilterClick(event) {
-        try {
-            const button = event.target;
-            const filter = button.dataset.filter;
-            
-            this.todoManager.setFilter(filter);
-            this.updateActiveFilterButton();
-            this.render();
-            
-        } catch (error) {
-            Logger.error('Failed to handle filter click', error);
+    highlightMatches(text, terms = this.todoManager.getSearchTerms()) {
+        if (terms.length === 0) {
+            return this.escapeHtml(text);
         }
+        
+        const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return text
+            .split(pattern)
+            .map((part, index) => (index % 2 === 1
+                ? `<mark class="search-hit">${this.escapeHtml(part)}</mark>`
+                : this.escapeHtml(part)))
+            .join('');
     }
 
     /**
-     * Updates the active filter button based on current filter
-     */
-    updateActiveFilterButton() {
-        document.querySelectorAll('.filter-button').forEach(btn => {
-            btn.classList.remove('active');
-            if (btn.dataset.filter === this.todoManager.currentFilter) {
-                btn.classList.add('active');
-            }
-        });
-    }
-
-    /**
-     * Handles clear completed button click
-     * @param {Event} event - The click event
+     * Formats a due date for display on a card
+     * @param {string} dueDate - The due date as YYYY-MM-DD
+     * @param {string|null} dueStatus - The todo's due status
+     * @returns {string} The label, e.g. "Today", "Tomorrow" or "Overdue · Mar 3"
      */
-    async handleClearCompleted(event) {
-        event.preventDefault();
+    formatDueDate(dueDate, dueStatus) {
+        const [year, month, day] = dueDate.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        const now = new Date();
+        const tomorrow = new Date(now.getFullYear(), now.getMonth(), now.getDate() + 1);
         
-        try {
-            const removedCount = await this.todoManager.clearCompleted();
-            if (removedCount > 0) {
-                this.render();
-                Logger.info('Completed todos cleared', { count: removedCount });
-            }
-        } catch (error) {
-            Logger.error('Failed to clear completed todos', error);
-            this.showError('Failed to clear completed todos. Please try again.');
+        const options = { month: 'short', day: 'numeric' };
+        if (year !== now.getFullYear()) {
+            options.year = 'numeric';
         }
-    }
-
-    /**
-     * Handles todo item checkbox click
-     * @param {string} todoId - The todo item ID
-     */
-    async handleTodoToggle(todoId) {
-        try {
-            const success = await this.todoManager.toggleTodo(todoId);
-            if (success) {
-                this.render();
-            }
-        } catch (error) {
-            Logger.error('Failed to toggle todo', error);
-            this.showError('Failed to update todo. Please try again.');
+        const label = date.toLocaleDateString('en-US', options);
+        
+        if (dueStatus === 'overdue') {
+            return `Overdue · ${label}`;
         }
-    }
-
-    /**
-     * Handles todo item deletion
-     * @param {string} todoId - The todo item ID
-     */
-    async handleTodoDelete(todoId) {
-        try {
-            const success = await this.todoManager.removeTodo(todoId);
-            if (success) {
-                this.render();
-            }
-        } catch (error) {
-            Logger.error('Failed to delete todo', error);
-            this.showError('Failed to delete todo. Please try again.');
+        if (dueStatus === 'today') {
+            return 'Today';
         }
-    }
-
-    /**
-     * Renders the complete board interface
-     */
-    render() {
-        try {
-            this.renderBoard();
-            this.renderStats();
-            this.updateEmptyState();
-        } catch (error) {
-            Logger.error('Failed to render board interface', error);
+        if (dueDate === TodoItem.getDateKey(tomorrow)) {
+            return 'Tomorrow';
         }
-    }
-
-    /**
-     * Renders the board with all groups as columns
-     */
-    renderBoard() {
-        const board = this.elements.board;
-        const groups = this.todoManager.getGroups();
-        
-        board.innerHTML = '';
-        
-        groups.forEach(group => {
-            const groupElement = this.createGroupElement(group);
-            board.appendChild(groupElement);
-        });
-    }
-
-    /**
-     * Creates a DOM element for a group/column
-     * @param {TodoGroup} group - The group
-     * @returns {HTMLElement} The group element
-     */
-    createGroupElement(group) {
-        const div = document.createElement('div');
-        div.className = 'group-column';
-        div.dataset.groupId = group.id;
-        
-        const todos = this.todoManager.getTodosForGroup(group.id);
-        const filteredTodos = this.getFilteredTodosForGroup(todos);
-        
-        div.innerHTML = `
-            <div class="group-header">
-                <span class="group-name editable" data-group-id="${group.id}">${this.escapeHtml(group.name)}</span>
-                <div class="group-controls">
-                    <button class="group-control-button delete" data-group-id="${group.id}" aria-label="Delete group">×</button>
-                </div>
-            </div>
-            <div class="group-todo-input-section">
-                <form class="group-todo-form" data-group-id="${group.id}">
-                    <input 
-                        type="text" 
-                        class="group-todo-input" 
-                        placeholder="Add a task..."
-                        maxlength="200"
-                        required
-                    >
-                    <button type="submit" class="group-add-button" aria-label="Add todo">+</button>
-                </form>
-            </div>
-            <div class="group-todo-list">
-                ${filteredTodos.map(todo => this.createTodoHTML(todo)).join('')}
-            </div>
-        `;
-        
-        // Add event listeners
-        this.setupGroupEventListeners(div, group);
-        
-        return div;
-    }
-
-    /**
-     * Creates HTML for a todo item
-     * @param {TodoItem} todo - The todo item
-     * @returns {string} The todo HTML
-     */
-    createTodoHTML(todo) {
-        return `
-            <div class="todo-item ${todo.completed ? 'completed' : ''}" data-todo-id="${todo.id}" draggable="true">
-                <div class="todo-checkbox ${todo.completed ? 'checked' : ''}" data-todo-id="${todo.id}"></div>
-                <span class="todo-text" data-todo-id="${todo.id}">${this.escapeHtml(todo.text)}</span>
-                <button class="todo-delete" data-todo-id="${todo.id}" aria-label="Delete todo">×</button>
-            </div>
-        `;
+        return label;
     }
 
     /**
@@ -1090,6 +1446,23 @@ class TodoUI {
         const groupName = groupElement.querySelector('.group-name');
         groupName.addEventListener('click', () => this.handleGroupNameEdit(group.id, groupName));
         
+        // Column sort order
+        const sortSelect = groupElement.querySelector('.group-sort-select');
+        sortSelect.addEventListener('change', () => this.handleGroupSortChange(group.id, sortSelect.value));
+        
+        // Column settings
+        groupElement.querySelector('.group-control-button.settings').addEventListener('click', () => this.toggleGroupSettings(group.id));
+        const settingsPanel = groupElement.querySelector('.group-settings');
+        if (settingsPanel) {
+            const colorInput = settingsPanel.querySelector('.group-color-input');
+            const wipInput = settingsPanel.querySelector('.group-wip-input');
+            const doneInput = settingsPanel.querySelector('.group-done-input');
+            colorInput.addEventListener('change', () => this.handleGroupSettingsChange(group.id, { color: colorInput.value }));
+            settingsPanel.querySelector('.group-color-clear').addEventListener('click', () => this.handleGroupSettingsChange(group.id, { color: null }));
+            wipInput.addEventListener('change', () => this.handleGroupSettingsChange(group.id, { wipLimit: Number(wipInput.value) }));
+            doneInput.addEventListener('change', () => this.handleGroupSettingsChange(group.id, { isDoneColumn: doneInput.checked }));
+        }
+        
         // Group deletion
         const deleteBtn = groupElement.querySelector('.group-control-button.delete');
         deleteBtn.addEventListener('click', () => this.handleGroupDelete(group.id));
@@ -1097,6 +1470,7 @@ class TodoUI {
         // Todo form submission
         const form = groupElement.querySelector('.group-todo-form');
         form.addEventListener('submit', (event) => this.handleGroupTodoSubmit(event, group.id));
+        form.querySelector('.group-todo-input').addEventListener('paste', (event) => this.handleGroupTodoPaste(event, group.id));
         
         // Todo interactions
         const todoItems = groupElement.querySelectorAll('.todo-item');
@@ -1108,9 +1482,13 @@ class TodoUI {
             checkbox.addEventListener('click', () => this.handleTodoToggle(todoId));
             deleteBtn.addEventListener('click', () => this.handleTodoDelete(todoId));
             
-            // Add click handler for opening modal (excluding checkbox and delete button)
+            todoItem.querySelectorAll('.todo-tag').forEach(chip => {
+                chip.addEventListener('click', () => this.handleTagClick(chip.dataset.tag));
+            });
+            
+            // Add click handler for opening modal (excluding checkbox, delete button, tags and source link)
             todoItem.addEventListener('click', (e) => {
-                if (!e.target.closest('.todo-checkbox') && !e.target.closest('.todo-delete')) {
+                if (!e.target.closest('.todo-checkbox') && !e.target.closest('.todo-delete') && !e.target.closest('.todo-tag') && !e.target.closest('.todo-source')) {
                     this.openTodoModal(todoId);
                 }
             });
@@ -1118,6 +1496,9 @@ class TodoUI {
         
         // Drag and drop functionality for todos
         this.setupDragAndDrop(groupElement, group);
+        
+        // Column drag handle
+        this.setupGroupDragEvents(groupElement, group);
     }
 
     /**
@@ -1128,248 +1509,1380 @@ class TodoUI {
         
         this.elements.activeCount.textContent = stats.active;
         this.elements.completedCount.textContent = stats.completed;
+        this.elements.overdueCount.textContent = stats.overdue;
+        this.elements.overdueStats.style.display = stats.overdue > 0 ? 'inline' : 'none';
         
         // Show/hide clear completed button
         this.elements.clearCompleted.style.display = stats.completed > 0 ? 'inline' : 'none';
+        
+        this.renderStorageUsage();
+    }
+
+    /**
+     * Renders storage quota usage, warning when sync storage is nearly full
+     * @returns {Promise<void>}
+     */
+    async renderStorageUsage() {
+        const element = this.elements.storageUsage;
+        
+        try {
+            const usage = await this.todoManager.getStorageUsage();
+            const percent = Math.min(100, Math.round(usage.ratio * 100));
+            
+            if (usage.area === 'local') {
+                element.textContent = `Sync storage full, saving on this device only (local storage ${percent}% used)`;
+                element.title = `Todos will not sync to other devices until some are removed. ${usage.bytesInUse} of ${usage.quotaBytes} bytes`;
+            } else if (usage.movedElsewhere) {
+                element.textContent = 'Todos may be out of date';
+                element.title = 'Sync storage filled up on another device, which now saves its todos only on itself';
+            } else {
+                element.textContent = `Sync storage ${percent}% used`;
+                element.title = `${usage.bytesInUse} of ${usage.quotaBytes} bytes`;
+            }
+            
+            element.classList.toggle('warning', usage.area === 'local' || usage.movedElsewhere || usage.ratio >= CONFIG.STORAGE_WARNING_RATIO);
+        } catch (error) {
+            Logger.warn('Failed to render storage usage', { error: error.message });
+            element.textContent = '';
+        }
+    }
+
+    /**
+     * Gets filtered todos for a specific group
+     * @param {TodoItem[]} todos - The todos in the group
+     * @returns {TodoItem[]} The filtered todos
+     */
+    getFilteredTodosForGroup(todos) {
+        const now = new Date();
+        return todos.filter(todo => this.todoManager.matchesFilters(todo, now));
+    }
+
+    /**
+     * Handles group name editing
+     * @param {string} groupId - The group ID
+     * @param {HTMLElement} groupNameElement - The group name element
+     */
+    handleGroupNameEdit(groupId, groupNameElement) {
+        const currentName = groupNameElement.textContent;
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'group-name-input';
+        input.value = currentName;
+        input.maxLength = CONFIG.MAX_GROUP_NAME_LENGTH;
+        input.setAttribute('aria-label', 'Column name');
+        
+        // Dragging inside the field should select text, not move the column
+        groupNameElement.closest('.group-header').draggable = false;
+        groupNameElement.replaceWith(input);
+        input.focus();
+        input.select();
+        
+        this.bindInlineEdit(input, (newName) => this.saveGroupName(groupId, currentName, newName), () => this.render());
+    }
+
+    /**
+     * Saves a column name edited inline
+     * @param {string} groupId - The group ID
+     * @param {string} currentName - The name before editing
+     * @param {string} newName - The edited name, empty to keep the current one
+     */
+    async saveGroupName(groupId, currentName, newName) {
+        try {
+            if (newName && newName !== currentName) {
+                await this.todoManager.updateGroupName(groupId, newName);
+            }
+            this.render();
+        } catch (error) {
+            Logger.error('Failed to update group name', error);
+            this.showSaveError('Failed to update column name.', error);
+        }
+    }
+
+    /**
+     * Handles changing a column's sort order
+     * @param {string} groupId - The group ID
+     * @param {string} sortBy - The selected sort option
+     */
+    async handleGroupSortChange(groupId, sortBy) {
+        try {
+            const success = await this.todoManager.updateGroupSort(groupId, sortBy);
+            if (success) {
+                this.render();
+            }
+        } catch (error) {
+            Logger.error('Failed to change column sort', error);
+            this.showSaveError('Failed to sort column.', error);
+        }
+    }
+
+    /**
+     * Opens or closes a column's settings panel
+     * @param {string} groupId - The group ID
+     */
+    toggleGroupSettings(groupId) {
+        this.openGroupSettingsId = this.openGroupSettingsId === groupId ? null : groupId;
+        this.render();
+    }
+
+    /**
+     * Handles changing a column's color, WIP limit or done column flag
+     * @param {string} groupId - The group ID
+     * @param {Object} changes - The changed settings
+     * @returns {Promise<void>}
+     */
+    async handleGroupSettingsChange(groupId, changes) {
+        try {
+            const success = await this.todoManager.updateGroupSettings(groupId, changes);
+            if (success) {
+                this.render();
+                this.warnIfOverWipLimit(groupId);
+            }
+        } catch (error) {
+            Logger.error('Failed to change column settings', error);
+            this.showSaveError('Failed to change column settings.', error);
+            // Put back the stored values
+            this.render();
+        }
+    }
+
+    /**
+     * Warns when a column holds more open todos than its WIP limit
+     * @param {string} groupId - The group that just gained todos or a lower limit
+     */
+    warnIfOverWipLimit(groupId) {
+        if (!this.todoManager.isOverWipLimit(groupId)) {
+            return;
+        }
+        
+        const group = this.todoManager.groups.find(g => g.id === groupId);
+        const count = this.todoManager.getWipCount(groupId);
+        this.showToast(`${group.name} is over its WIP limit: ${count} open todos, limit ${group.wipLimit}`);
+    }
+
+    /**
+     * Toggles filtering the board by a tag chip that was clicked
+     * @param {string} tag - The clicked tag
+     */
+    handleTagClick(tag) {
+        this.todoManager.setTagFilter(this.todoManager.tagFilter === tag ? null : tag);
+        this.render();
+    }
+
+    /**
+     * Handles group deletion
+     * @param {string} groupId - The group ID
+     */
+    async handleGroupDelete(groupId) {
+        try {
+            const group = this.todoManager.groups.find(g => g.id === groupId);
+            const count = this.todoManager.getTodosInManualOrder(groupId).length;
+            const message = count > 0
+                ? `Its ${count} ${count === 1 ? 'todo' : 'todos'} will be deleted too. You can undo this right after.`
+                : 'The column is empty.';
+            
+            const confirmed = await this.confirmAction(`Delete "${group.name}"?`, message, 'Delete column');
+            if (!confirmed) {
+                return;
+            }
+            
+            const success = await this.todoManager.removeGroup(groupId);
+            if (success) {
+                this.render();
+                this.showUndoToast('Column deleted');
+            }
+        } catch (error) {
+            Logger.error('Failed to delete group', error);
+            this.showSaveError('Failed to delete column.', error);
+        }
+    }
+
+    /**
+     * Handles todo form submission within a group
+     * @param {Event} event - The form submission event
+     * @param {string} groupId - The group ID
+     */
+    async handleGroupTodoSubmit(event, groupId) {
+        event.preventDefault();
+        
+        try {
+            const form = event.target;
+            const input = form.querySelector('.group-todo-input');
+            const text = input.value.trim();
+            
+            if (!text) {
+                Logger.warn('Empty todo text submitted');
+                return;
+            }
+            
+            // Inline #tags and @mentions become tags; a todo made only of tags keeps them as text
+            const parsed = TodoItem.parseTags(text);
+            const details = parsed.text ? { tags: parsed.tags } : {};
+            
+            await this.todoManager.addTodo(parsed.text || text, groupId, details);
+            input.value = '';
+            this.render();
+            this.warnIfOverWipLimit(groupId);
+            
+        } catch (error) {
+            Logger.error('Failed to handle group todo submission', error);
+            this.showSaveError('Failed to add todo.', error);
+        }
+    }
+
+    /**
+     * Sets up drag and drop functionality for a group
+     * @param {HTMLElement} groupElement - The group DOM element
+     * @param {TodoGroup} group - The group object
+     */
+    setupDragAndDrop(groupElement, group) {
+        const todoList = groupElement.querySelector('.group-todo-list');
+        
+        // Make the todo list a drop zone
+        todoList.addEventListener('dragover', (e) => {
+            // Column drags are handled by the board
+            if (this.isGroupDrag(e)) {
+                return;
+            }
+            
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            todoList.classList.add('drag-over');
+            
+            // Sorted columns decide their own order, so there is no insertion point
+            if (group.sortBy !== 'manual') {
+                return;
+            }
+            
+            // Show where the todo will be inserted
+            const placeholder = this.getDropPlaceholder();
+            const afterElement = this.getTodoElementAfter(todoList, e.clientY);
+            if (afterElement) {
+                todoList.insertBefore(placeholder, afterElement);
+            } else {
+                todoList.appendChild(placeholder);
+            }
+        });
+        
+        todoList.addEventListener('dragleave', (e) => {
+            e.preventDefault();
+            // Only remove class if we're leaving the drop zone entirely
+            if (!todoList.contains(e.relatedTarget)) {
+                todoList.classList.remove('drag-over');
+                this.removeDropPlaceholder();
+            }
+        });
+        
+        todoList.addEventListener('drop', (e) => {
+            if (this.isGroupDrag(e)) {
+                return;
+            }
+            
+            e.preventDefault();
+            todoList.classList.remove('drag-over');
+            
+            const afterElement = this.getTodoElementAfter(todoList, e.clientY);
+            this.removeDropPlaceholder();
+            
+            const todoId = e.dataTransfer.getData('text/plain');
+            if (todoId) {
+                const beforeTodoId = afterElement ? afterElement.dataset.todoId : null;
+                this.handleTodoMove(todoId, group.id, beforeTodoId);
+            }
+        });
+        
+        // Setup drag events for todo items
+        const todoItems = groupElement.querySelectorAll('.todo-item');
+        todoItems.forEach(todoItem => {
+            this.setupTodoDragEvents(todoItem);
+        });
+    }
+
+    /**
+     * Sets up drag events for a todo item
+     * @param {HTMLElement} todoItem - The todo DOM element
+     */
+    setupTodoDragEvents(todoItem) {
+        todoItem.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', todoItem.dataset.todoId);
+            todoItem.classList.add('dragging');
+            
+            Logger.info('Started dragging todo', { todoId: todoItem.dataset.todoId });
+        });
+        
+        todoItem.addEventListener('dragend', (e) => {
+            todoItem.classList.remove('dragging');
+            this.removeDropPlaceholder();
+            this.flushRemoteRender();
+            Logger.info('Finished dragging todo', { todoId: todoItem.dataset.todoId });
+        });
+    }
+
+    /**
+     * Sets up drag events for a group header so the column can be reordered
+     * @param {HTMLElement} groupElement - The group DOM element
+     * @param {TodoGroup} group - The group object
+     */
+    setupGroupDragEvents(groupElement, group) {
+        const header = groupElement.querySelector('.group-header');
+        
+        header.addEventListener('dragstart', (e) => {
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData(CONFIG.GROUP_DRAG_TYPE, group.id);
+            groupElement.classList.add('dragging');
+            
+            Logger.info('Started dragging group', { groupId: group.id });
+        });
+        
+        header.addEventListener('dragend', () => {
+            groupElement.classList.remove('dragging');
+            this.flushRemoteRender();
+            this.elements.board.querySelectorAll('.group-column').forEach(column => {
+                column.classList.remove('drop-before', 'drop-after');
+            });
+            Logger.info('Finished dragging group', { groupId: group.id });
+        });
+    }
+
+    /**
+     * Applies a remote change that arrived while a drag was in progress
+     */
+    flushRemoteRender() {
+        if (this.pendingRemoteRender) {
+            this.pendingRemoteRender = false;
+            this.handleRemoteChange();
+        }
+    }
+
+    /**
+     * Sets up the board as a drop zone for reordering columns
+     */
+    setupGroupReordering() {
+        const board = this.elements.board;
+        
+        board.addEventListener('dragover', (e) => {
+            if (!this.isGroupDrag(e)) {
+                return;
+            }
+            
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            
+            const afterColumn = this.getGroupElementAfter(e.clientX);
+            const columns = [...board.querySelectorAll('.group-column:not(.dragging)')];
+            columns.forEach(column => column.classList.remove('drop-before', 'drop-after'));
+            
+            if (afterColumn) {
+                afterColumn.classList.add('drop-before');
+            } else if (columns.length > 0) {
+                columns[columns.length - 1].classList.add('drop-after');
+            }
+        });
+        
+        board.addEventListener('drop', (e) => {
+            if (!this.isGroupDrag(e)) {
+                return;
+            }
+            
+            e.preventDefault();
+            
+            const groupId = e.dataTransfer.getData(CONFIG.GROUP_DRAG_TYPE);
+            const afterColumn = this.getGroupElementAfter(e.clientX);
+            if (groupId) {
+                this.handleGroupReorder(groupId, afterColumn ? afterColumn.dataset.groupId : null);
+            }
+        });
+    }
+
+    /**
+     * Checks whether a drag event carries a column rather than a todo
+     * @param {DragEvent} event - The drag event
+     * @returns {boolean} True if a column is being dragged
+     */
+    isGroupDrag(event) {
+        return Array.from(event.dataTransfer.types).includes(CONFIG.GROUP_DRAG_TYPE);
+    }
+
+    /**
+     * Finds the first column positioned right of the cursor
+     * @param {number} clientX - The cursor's horizontal position
+     * @returns {HTMLElement|null} The column to insert before, or null for the end
+     */
+    getGroupElementAfter(clientX) {
+        const columns = [...this.elements.board.querySelectorAll('.group-column:not(.dragging)')];
+        
+        return columns.find(column => {
+            const box = column.getBoundingClientRect();
+            return clientX < box.left + box.width / 2;
+        }) || null;
+    }
+
+    /**
+     * Handles moving a column before another column or to the end
+     * @param {string} groupId - The dragged group ID
+     * @param {string|null} beforeGroupId - The group to insert before, null for the end
+     */
+    async handleGroupReorder(groupId, beforeGroupId) {
+        try {
+            const groupIds = this.todoManager.getGroups()
+                .map(group => group.id)
+                .filter(id => id !== groupId);
+            const beforeIndex = groupIds.indexOf(beforeGroupId);
+            groupIds.splice(beforeIndex === -1 ? groupIds.length : beforeIndex, 0, groupId);
+            
+            const success = await this.todoManager.reorderGroups(groupIds);
+            if (success) {
+                this.render();
+            }
+        } catch (error) {
+            Logger.error('Failed to reorder groups', error);
+            this.showSaveError('Failed to reorder columns.', error);
+        }
+    }
+
+    /**
+     * Finds the first todo element positioned below the cursor in a list
+     * @param {HTMLElement} todoList - The group todo list element
+     * @param {number} clientY - The cursor's vertical position
+     * @returns {HTMLElement|null} The todo element to insert before, or null for the end
+     */
+    getTodoElementAfter(todoList, clientY) {
+        const todoElements = [...todoList.querySelectorAll('.todo-item:not(.dragging)')];
+        
+        return todoElements.find(element => {
+            const box = element.getBoundingClientRect();
+            return clientY < box.top + box.height / 2;
+        }) || null;
+    }
+
+    /**
+     * Gets the shared drop placeholder element, creating it on first use
+     * @returns {HTMLElement} The placeholder element
+     */
+    getDropPlaceholder() {
+        if (!this.dropPlaceholder) {
+            this.dropPlaceholder = document.createElement('div');
+            this.dropPlaceholder.className = 'todo-drop-placeholder';
+        }
+        return this.dropPlaceholder;
+    }
+
+    /**
+     * Removes the drop placeholder from the board
+     */
+    removeDropPlaceholder() {
+        if (this.dropPlaceholder && this.dropPlaceholder.parentNode) {
+            this.dropPlaceholder.parentNode.removeChild(this.dropPlaceholder);
+        }
+    }
+
+
+    /**
+     * Handles moving a todo to a group, before a given todo or at the end
+     * @param {string} todoId - The todo ID
+     * @param {string} newGroupId - The new group ID
+     * @param {string|null} [beforeTodoId] - The todo to insert before, null for the end
+     */
+    async handleTodoMove(todoId, newGroupId, beforeTodoId = null) {
+        try {
+            Logger.info('Moving todo to new group', { todoId, newGroupId, beforeTodoId });
+            
+            const group = this.todoManager.groups.find(g => g.id === newGroupId);
+            const todo = this.todoManager.todos.find(t => t.id === todoId);
+            const fromGroupId = todo ? todo.groupId : null;
+            let index = null;
+            
+            if (group && group.sortBy !== 'manual') {
+                // Sorted columns ignore the drop position; only moves between columns matter
+                if (todo && todo.groupId === newGroupId) {
+                    return;
+                }
+            } else {
+                // Resolve the drop target against the full group, not just the visible cards
+                const siblings = this.todoManager.getTodosInManualOrder(newGroupId).filter(t => t.id !== todoId);
+                const beforeIndex = siblings.findIndex(t => t.id === beforeTodoId);
+                index = beforeIndex === -1 ? siblings.length : beforeIndex;
+            }
+            
+            const success = await this.todoManager.moveTodo(todoId, newGroupId, index);
+            if (success) {
+                this.render();
+                if (fromGroupId !== newGroupId) {
+                    this.warnIfOverWipLimit(newGroupId);
+                }
+                Logger.info('Todo moved successfully', { todoId, newGroupId });
+            }
+        } catch (error) {
+            Logger.error('Failed to move todo', error);
+            this.showSaveError('Failed to move todo.', error);
+        }
+    }
+
+    /**
+     * Opens the todo edit modal
+     * @param {string} todoId - The todo ID to edit
+     */
+    openTodoModal(todoId) {
+        try {
+            const todo = this.todoManager.todos.find(t => t.id === todoId);
+            if (!todo) {
+                Logger.warn('Todo not found for modal', { todoId });
+                return;
+            }
+            
+            // Populate modal fields
+            this.elements.todoTitle.value = todo.text;
+            this.elements.todoDescription.value = todo.description;
+            this.elements.todoDueDate.value = todo.dueDate || '';
+            this.elements.todoPriority.value = todo.priority;
+            this.elements.todoReminder.value = this.formatDateTimeInput(todo.reminderAt);
+            this.elements.todoTags.value = todo.tags.join(' ');
+            this.modalSubtasks = todo.subtasks.map(subtask => ({ ...subtask }));
+            this.renderModalSubtasks();
+            this.setRecurrenceFields(todo.recurrence);
+            this.elements.todoColumn.innerHTML = this.createColumnOptionsHTML(todo.groupId);
+            this.renderModalActivity(todo);
+            
+            // Store the todo ID for the form submission
+            this.elements.todoEditForm.dataset.todoId = todoId;
+            
+            // Show modal
+            this.elements.todoModal.classList.add('show');
+            
+            // Focus on title input
+            this.elements.todoTitle.focus();
+            
+            Logger.info('Opened todo modal', { todoId });
+        } catch (error) {
+            Logger.error('Failed to open todo modal', error);
+        }
+    }
+
+    /**
+     * Closes the todo edit modal
+     */
+    closeModal() {
+        this.elements.todoModal.classList.remove('show');
+        this.elements.todoEditForm.dataset.todoId = '';
+        this.elements.todoTitle.value = '';
+        this.elements.todoDescription.value = '';
+        this.elements.todoDueDate.value = '';
+        this.elements.todoPriority.value = 'none';
+        this.elements.todoReminder.value = '';
+        this.elements.todoTags.value = '';
+        this.elements.newSubtaskInput.value = '';
+        this.modalSubtasks = [];
+        this.renderModalSubtasks();
+        this.setRecurrenceFields(null);
+        this.elements.todoColumn.innerHTML = '';
+        this.elements.todoActivity.innerHTML = '';
+    }
+
+    /**
+     * Handles todo edit form submission
+     * @param {Event} event - The form submission event
+     */
+    async handleTodoEditSubmit(event) {
+        event.preventDefault();
+        
+        try {
+            const todoId = this.elements.todoEditForm.dataset.todoId;
+            const newTitle = this.elements.todoTitle.value.trim();
+            const newDescription = this.elements.todoDescription.value.trim();
+            const newGroupId = this.elements.todoColumn.value;
+            const details = {
+                dueDate: this.elements.todoDueDate.value || null,
+                priority: this.elements.todoPriority.value,
+                tags: this.parseTagInput(this.elements.todoTags.value),
+                subtasks: this.modalSubtasks.filter(subtask => subtask.text.trim() !== ''),
+                recurrence: this.readRecurrenceFields(),
+                reminderAt: this.elements.todoReminder.value ? new Date(this.elements.todoReminder.value).toISOString() : null
+            };
+            
+            if (!todoId || !newTitle) {
+                Logger.warn('Invalid todo edit data', { todoId, newTitle });
+                return;
+            }
+            
+            const todo = this.todoManager.todos.find(t => t.id === todoId);
+            const moved = Boolean(todo && newGroupId && todo.groupId !== newGroupId);
+            if (moved) {
+                details.groupId = newGroupId;
+            }
+            
+            const success = await this.todoManager.updateTodo(todoId, newTitle, newDescription, details);
+            if (success) {
+                this.closeModal();
+                this.render();
+                
+                // A todo moved to another board disappears from this one, so offer to follow it
+                const group = this.todoManager.groups.find(g => g.id === newGroupId);
+                if (moved && group && group.boardId !== this.todoManager.currentBoardId) {
+                    this.showToast(`Moved to ${this.getColumnLabel(group)}`, {
+                        actionLabel: 'Open board',
+                        onAction: () => this.switchBoard(group.boardId)
+                    });
+                } else if (moved) {
+                    this.warnIfOverWipLimit(newGroupId);
+                }
+                Logger.info('Todo updated successfully', { todoId });
+            }
+        } catch (error) {
+            Logger.error('Failed to update todo', error);
+            this.showSaveError('Failed to update todo.', error);
+        }
+    }
+
+    /**
+     * Formats an ISO time as the local value a datetime-local input expects
+     * @param {string|null} isoString - The time, or null
+     * @returns {string} The input value, or an empty string
+     */
+    formatDateTimeInput(isoString) {
+        if (!isoString) {
+            return '';
+        }
+        
+        const date = new Date(isoString);
+        const hours = String(date.getHours()).padStart(2, '0');
+        const minutes = String(date.getMinutes()).padStart(2, '0');
+        return `${TodoItem.getDateKey(date)}T${hours}:${minutes}`;
+    }
+
+    /**
+     * Acts on a location hash set by the extension's other entry points:
+     * #todo=<id> opens a todo's edit modal, #card=<id> scrolls to its card,
+     * #search=<query> searches the board and #capture focuses the first column's input.
+     * Links to a todo on another board switch to that board.
+     * @returns {Promise<void>}
+     */
+    async handleLocationHash() {
+        const match = window.location.hash.match(/^#(todo|card|search|capture)(?:=(.+))?$/);
+        if (!match) {
+            return;
+        }
+        
+        const [, action, value] = match;
+        history.replaceState(null, '', window.location.pathname);
+        
+        let target;
+        try {
+            target = decodeURIComponent(value || '');
+        } catch (error) {
+            // A hand-edited or truncated link must not stop the board from loading
+            Logger.warn('Ignoring malformed location hash', { hash: match[0], error: error.message });
+            return;
+        }
+        
+        if (action === 'capture') {
+            this.focusColumnInput(null);
+            return;
+        }
+        
+        if (action === 'search') {
+            this.elements.searchInput.value = target;
+            this.handleSearchInput();
+            return;
+        }
+        
+        const todo = this.todoManager.todos.find(t => t.id === target);
+        if (!todo) {
+            Logger.warn('Todo from link not found', { todoId: target });
+            this.showToast('That todo no longer exists.');
+            return;
+        }
+        
+        const group = this.todoManager.groups.find(g => g.id === todo.groupId);
+        if (group && group.boardId !== this.todoManager.currentBoardId) {
+            await this.switchBoard(group.boardId);
+        }
+        
+        if (action === 'todo') {
+            this.openTodoModal(target);
+        } else {
+            this.focusTodoCard(target);
+        }
+    }
+
+    /**
+     * Scrolls a todo's card into view and highlights it, clearing filters that hide it
+     * @param {string} todoId - The todo ID
+     */
+    focusTodoCard(todoId) {
+        const selector = `.todo-item[data-todo-id="${CSS.escape(todoId)}"]`;
+        let card = document.querySelector(selector);
+        
+        if (!card) {
+            this.todoManager.clearFilters();
+            this.todoManager.setFilter('all');
+            this.elements.searchInput.value = '';
+            this.render();
+            card = document.querySelector(selector);
+        }
+        
+        if (!card) {
+            return;
+        }
+        
+        card.scrollIntoView({ block: 'center', inline: 'center' });
+        card.focus({ preventScroll: true });
+        card.classList.add('focus-flash');
+        setTimeout(() => card.classList.remove('focus-flash'), CONFIG.FOCUS_FLASH_DURATION);
+    }
+
+    /**
+     * Fills the modal's recurrence controls from a rule
+     * @param {Object|null} rule - The todo's recurrence rule
+     */
+    setRecurrenceFields(rule) {
+        const dueDate = this.elements.todoDueDate.value;
+        const defaultDay = (dueDate ? TodoItem.parseDateKey(dueDate) : new Date()).getDay();
+        const days = rule && rule.frequency === 'weekly' ? rule.days : [defaultDay];
+        
+        this.elements.todoRecurrence.value = rule ? rule.frequency : 'none';
+        this.elements.todoRecurrenceInterval.value = rule && rule.frequency === 'interval' ? rule.interval : 2;
+        this.elements.recurrenceDays.querySelectorAll('input').forEach(input => {
+            input.checked = days.includes(Number(input.value));
+        });
+        this.updateRecurrenceFields();
+    }
+
+    /**
+     * Shows the weekday or interval controls that belong to the chosen frequency
+     */
+    updateRecurrenceFields() {
+        const frequency = this.elements.todoRecurrence.value;
+        this.elements.recurrenceDays.hidden = frequency !== 'weekly';
+        this.elements.recurrenceIntervalField.hidden = frequency !== 'interval';
+    }
+
+    /**
+     * Builds a recurrence rule from the modal's recurrence controls
+     * @returns {Object|null} The rule, or null when the todo does not repeat
+     */
+    readRecurrenceFields() {
+        const frequency = this.elements.todoRecurrence.value;
+        
+        if (frequency === 'none') {
+            return null;
+        }
+        if (frequency === 'weekly') {
+            const days = Array.from(this.elements.recurrenceDays.querySelectorAll('input:checked'), input => Number(input.value));
+            return { frequency, days };
+        }
+        if (frequency === 'interval') {
+            return { frequency, interval: Number(this.elements.todoRecurrenceInterval.value) };
+        }
+        return { frequency };
+    }
+
+    /**
+     * Renders a todo's activity log in the todo modal, newest first
+     * @param {TodoItem} todo - The todo being edited
+     */
+    renderModalActivity(todo) {
+        const descriptions = {
+            created: () => 'Created',
+            moved: entry => `Moved from ${entry.from || 'a deleted column'} to ${entry.to}`,
+            renamed: entry => `Renamed from "${entry.from}"`,
+            completed: () => 'Completed',
+            reopened: () => 'Reopened'
+        };
+        
+        this.elements.todoActivity.innerHTML = [...todo.activity].reverse().map(entry => {
+            const time = new Date(entry.at).toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                year: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            });
+            
+            return `
+                <li class="activity-entry">
+                    <span class="activity-text">${this.escapeHtml(descriptions[entry.type](entry))}</span>
+                    <time class="activity-time" datetime="${this.escapeHtml(entry.at)}">${time}</time>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Renders the editable subtask list in the todo modal
+     */
+    renderModalSubtasks() {
+        const list = this.elements.subtaskList;
+        
+        list.innerHTML = this.modalSubtasks.map((subtask, index) => `
+            <div class="subtask-row" data-index="${index}">
+                <input type="checkbox" class="subtask-done" ${subtask.done ? 'checked' : ''} aria-label="Done">
+                <input type="text" class="subtask-text" maxlength="${CONFIG.MAX_TODO_LENGTH}" aria-label="Subtask">
+                <button type="button" class="subtask-delete" aria-label="Remove subtask">×</button>
+            </div>
+        `).join('');
+        
+        list.querySelectorAll('.subtask-row').forEach(row => {
+            const subtask = this.modalSubtasks[Number(row.dataset.index)];
+            // Set as a property so quotes in the text cannot break the markup
+            row.querySelector('.subtask-text').value = subtask.text;
+            
+            row.querySelector('.subtask-done').addEventListener('change', (e) => {
+                subtask.done = e.target.checked;
+            });
+            row.querySelector('.subtask-text').addEventListener('input', (e) => {
+                subtask.text = e.target.value;
+            });
+            row.querySelector('.subtask-text').addEventListener('keydown', (e) => {
+                // Enter in a subtask should not submit the whole form
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.elements.newSubtaskInput.focus();
+                }
+            });
+            row.querySelector('.subtask-delete').addEventListener('click', () => {
+                this.modalSubtasks.splice(this.modalSubtasks.indexOf(subtask), 1);
+                this.renderModalSubtasks();
+            });
+        });
+    }
+
+    /**
+     * Adds the text in the new-subtask field to the modal's subtask list
+     */
+    handleAddSubtask() {
+        const text = this.elements.newSubtaskInput.value.trim();
+        if (!text) {
+            return;
+        }
+        
+        this.modalSubtasks.push({ text, done: false });
+        this.elements.newSubtaskInput.value = '';
+        this.renderModalSubtasks();
+        this.elements.newSubtaskInput.focus();
+    }
+
+    /**
+     * Opens the settings dialog with the current values filled in
+     */
+    openSettingsModal() {
+        const settings = this.todoManager.settings;
+        
+        this.elements.settingsForm.querySelectorAll('[data-setting]').forEach(input => {
+            const value = settings[input.dataset.setting];
+            if (input.type === 'checkbox') {
+                input.checked = Boolean(value);
+            } else {
+                input.value = value;
+            }
+        });
+        
+        this.renderDataSection();
+        this.elements.settingsModal.classList.add('show');
+    }
+
+    /**
+     * Shows the storage schema version, quarantined records and migration backup in settings
+     * @returns {Promise<void>}
+     */
+    async renderDataSection() {
+        const count = this.todoManager.quarantine.length;
+        this.elements.dataSummary.textContent = `Storage format version ${CONFIG.SCHEMA_VERSION}. ` + (count > 0
+            ? `${count} stored ${count === 1 ? 'record' : 'records'} could not be loaded and ${count === 1 ? 'is' : 'are'} kept in quarantine.`
+            : 'All stored records loaded.');
+        this.elements.downloadQuarantine.disabled = count === 0;
+        this.elements.clearQuarantine.disabled = count === 0;
+        
+        try {
+            this.elements.downloadBackup.disabled = !(await this.todoManager.getMigrationBackup());
+        } catch (error) {
+            Logger.warn('Failed to check for a migration backup', { error: error.message });
+            this.elements.downloadBackup.disabled = true;
+        }
+    }
+
+    /**
+     * Downloads the quarantined records as a JSON file
+     */
+    handleDownloadQuarantine() {
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(`todo-tab-quarantine-${date}.json`, JSON.stringify(this.todoManager.quarantine, null, 2), 'application/json');
+    }
+
+    /**
+     * Deletes the quarantined records after confirmation
+     * @returns {Promise<void>}
+     */
+    async handleClearQuarantine() {
+        const count = this.todoManager.quarantine.length;
+        const confirmed = await this.confirmAction(
+            'Clear quarantine?',
+            `${count} ${count === 1 ? 'record' : 'records'} that could not be loaded will be deleted for good. Download them first if you may need them.`,
+            'Delete records'
+        );
+        if (!confirmed) {
+            return;
+        }
+        
+        try {
+            await this.todoManager.clearQuarantine();
+            this.renderDataSection();
+        } catch (error) {
+            Logger.error('Failed to clear quarantine', error);
+            this.showError('Failed to clear quarantine.', { error, onRetry: () => this.handleClearQuarantine() });
+        }
+    }
+
+    /**
+     * Downloads the copy of the stored board taken before the last migration
+     * @returns {Promise<void>}
+     */
+    async handleDownloadBackup() {
+        try {
+            const backup = await this.todoManager.getMigrationBackup();
+            if (backup) {
+                this.downloadFile(`todo-tab-backup-v${backup.version}.json`, JSON.stringify(backup, null, 2), 'application/json');
+            }
+        } catch (error) {
+            Logger.error('Failed to download migration backup', error);
+            this.showError('Failed to download backup.', { error, onRetry: () => this.handleDownloadBackup() });
+        }
+    }
+
+    /**
+     * Closes the settings dialog
+     */
+    closeSettingsModal() {
+        this.elements.settingsModal.classList.remove('show');
+    }
+
+    /**
+     * Saves a setting as soon as its control changes
+     * @param {Event} event - The change event from the settings form
+     */
+    async handleSettingChange(event) {
+        const input = event.target;
+        const key = input.dataset.setting;
+        if (!key) {
+            return;
+        }
+        
+        let value = input.value;
+        if (input.type === 'checkbox') {
+            value = input.checked;
+        } else if (input.type === 'number') {
+            value = Number(input.value);
+        }
+        
+        try {
+            await this.todoManager.updateSettings({ [key]: value });
+            this.render();
+        } catch (error) {
+            Logger.error('Failed to update setting', error);
+            this.showSaveError('Failed to save setting.', error);
+        }
+    }
+
+    /**
+     * Parses the modal's tag field, adding a # to words typed without a prefix
+     * @param {string} value - Space or comma separated tags
+     * @returns {string[]} The tags
+     */
+    parseTagInput(value) {
+        return value
+            .split(/[\s,]+/)
+            .filter(Boolean)
+            .map(tag => (/^[#@]/.test(tag) ? tag : `#${tag}`).toLowerCase());
+    }
+
+    /**
+     * Opens the archive with an empty search
+     */
+    openArchiveModal() {
+        this.elements.archiveSearch.value = '';
+        this.renderArchiveList();
+        this.elements.archiveModal.classList.add('show');
+        this.elements.archiveSearch.focus();
+    }
+
+    /**
+     * Closes the archive
+     */
+    closeArchiveModal() {
+        this.elements.archiveModal.classList.remove('show');
+    }
+
+    /**
+     * Renders the archived todos matching the archive search
+     */
+    renderArchiveList() {
+        const query = this.elements.archiveSearch.value.trim();
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const entries = this.todoManager.searchArchive(query);
+        const total = this.todoManager.archive.length;
+        const list = this.elements.archiveList;
+        
+        this.elements.archiveSummary.textContent = query
+            ? `${entries.length} of ${total} archived ${total === 1 ? 'todo' : 'todos'}`
+            : `${total} archived ${total === 1 ? 'todo' : 'todos'}`;
+        
+        if (entries.length === 0) {
+            list.innerHTML = `<p class="archive-empty">${total === 0
+                ? 'Nothing archived yet. "Archive completed" moves finished todos here.'
+                : 'No archived todos match your search.'}</p>`;
+            return;
+        }
+        
+        const groups = this.todoManager.groups;
+        
+        list.innerHTML = entries.map(entry => {
+            const original = groups.find(group => group.id === entry.todo.groupId);
+            // Restore to the original column, or the current board's first one if it was deleted
+            const target = original || this.todoManager.getGroups()[0] || groups[0];
+            const origin = original
+                ? `from ${this.escapeHtml(this.getColumnLabel(original))}`
+                : `from ${this.escapeHtml(entry.groupName || 'a deleted column')}${entry.groupName ? ' (deleted)' : ''}`;
+            const completed = new Date(entry.getCompletedAt()).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+            const options = this.createColumnOptionsHTML(target ? target.id : null);
+            
+            return `
+                <div class="archive-row" data-todo-id="${this.escapeAttribute(entry.id)}">
+                    <div class="archive-info">
+                        <div class="archive-text">${this.highlightMatches(entry.todo.text, terms)}</div>
+                        <div class="archive-meta">Completed ${completed} · ${origin}</div>
+                    </div>
+                    <select class="archive-group-select" aria-label="Column to restore to" ${groups.length === 0 ? 'disabled' : ''}>${options}</select>
+                    <button type="button" class="archive-restore" ${groups.length === 0 ? 'disabled' : ''}>Restore</button>
+                </div>
+            `;
+        }).join('');
+        
+        list.querySelectorAll('.archive-row').forEach(row => {
+            const select = row.querySelector('.archive-group-select');
+            row.querySelector('.archive-restore').addEventListener('click', () => this.handleArchiveRestore(row.dataset.todoId, select.value));
+        });
+    }
+
+    /**
+     * Handles restoring an archived todo to a column
+     * @param {string} todoId - The archived todo ID
+     * @param {string} groupId - The column to restore it to
+     */
+    async handleArchiveRestore(todoId, groupId) {
+        try {
+            const todo = await this.todoManager.restoreArchivedTodo(todoId, groupId);
+            if (todo) {
+                const group = this.todoManager.groups.find(g => g.id === groupId);
+                this.render();
+                this.renderArchiveList();
+                this.showUndoToast(`Restored to ${this.getColumnLabel(group)}`);
+            }
+        } catch (error) {
+            Logger.error('Failed to restore archived todo', error);
+            this.showSaveError('Failed to restore todo.', error);
+        }
+    }
+
+    /**
+     * Opens the restore screen with the newest snapshot selected
+     * @returns {Promise<void>}
+     */
+    async openSnapshotModal() {
+        try {
+            await this.loadSnapshotOptions();
+            this.elements.snapshotModal.classList.add('show');
+            this.elements.snapshotSelect.focus();
+        } catch (error) {
+            Logger.error('Failed to open snapshots', error);
+            this.showError('Failed to load snapshots.', { error, onRetry: () => this.openSnapshotModal() });
+        }
+    }
+
+    /**
+     * Closes the restore screen
+     */
+    closeSnapshotModal() {
+        this.elements.snapshotModal.classList.remove('show');
+        this.elements.snapshotPreview.innerHTML = '';
+        this.snapshots = [];
+    }
+
+    /**
+     * Loads the snapshots into the snapshot picker
+     * @param {string} [selectedId] - Snapshot to select, defaults to the newest
+     * @returns {Promise<void>}
+     */
+    async loadSnapshotOptions(selectedId = null) {
+        this.snapshots = await this.todoManager.loadSnapshots();
+        
+        this.elements.snapshotSelect.innerHTML = this.snapshots.map(snapshot => {
+            const time = new Date(snapshot.createdAt).toLocaleString('en-US', {
+                month: 'short',
+                day: 'numeric',
+                year: 'numeric',
+                hour: 'numeric',
+                minute: '2-digit'
+            });
+            return `<option value="${this.escapeAttribute(snapshot.id)}">${time} · ${this.escapeHtml(snapshot.reason)}</option>`;
+        }).join('');
+        
+        if (selectedId) {
+            this.elements.snapshotSelect.value = selectedId;
+        }
+        this.renderSnapshotPreview();
     }
 
     /**
-     * Gets filtered todos for a specific group
-     * @param {TodoItem[]} todos - The todos in the group
-     * @returns {TodoItem[]} The filtered todos
+     * Renders the columns and todos of the selected snapshot with checkboxes for a partial restore
+     * Columns and todos that are no longer on the board are marked.
      */
-    getFilteredTodosForGroup(todos) {
-        switch (this.todoManager.currentFilter) {
-            case 'active':
-                return todos.filter(todo => !todo.completed);
-            case 'completed':
-                return todos.filter(todo => todo.completed);
-            default:
-                return todos;
+    renderSnapshotPreview() {
+        const snapshot = this.snapshots.find(s => s.id === this.elements.snapshotSelect.value);
+        const preview = this.elements.snapshotPreview;
+        
+        this.elements.restoreSelectedButton.disabled = !snapshot;
+        this.elements.restoreAllButton.disabled = !snapshot;
+        this.elements.snapshotSelect.disabled = !snapshot;
+        
+        if (!snapshot) {
+            this.elements.snapshotSummary.textContent = 'No snapshots yet. One is taken before a board or column is deleted or a board is replaced, and on the schedule set in Settings.';
+            preview.innerHTML = '';
+            return;
         }
+        
+        const { groups, todos } = snapshot.board;
+        const boardNames = new Map((snapshot.board.boards || []).map(board => [board.id, board.name]));
+        const boardGroupIds = new Set(this.todoManager.groups.map(group => group.id));
+        const boardTodoIds = new Set(this.todoManager.todos.map(todo => todo.id));
+        const archivedIds = new Set(this.todoManager.archive.map(entry => entry.id));
+        const badge = (onBoard, archived) => {
+            if (onBoard) {
+                return '';
+            }
+            return archived
+                ? '<span class="snapshot-badge">Archived</span>'
+                : '<span class="snapshot-badge missing">Not on board</span>';
+        };
+        
+        this.elements.snapshotSummary.textContent = `${groups.length} ${groups.length === 1 ? 'column' : 'columns'}, ${todos.length} ${todos.length === 1 ? 'todo' : 'todos'}. Tick columns or todos to restore just those.`;
+        
+        // Columns are listed board by board, in the snapshot's board order
+        const boardOrder = [...boardNames.keys()];
+        const sortedGroups = [...groups].sort((a, b) => boardOrder.indexOf(a.boardId) - boardOrder.indexOf(b.boardId) || a.position - b.position);
+        
+        preview.innerHTML = sortedGroups.map(group => {
+            const groupTodos = todos
+                .filter(todo => todo.groupId === group.id)
+                .sort((a, b) => a.position - b.position);
+            
+            return `
+                <div class="snapshot-group" data-group-id="${this.escapeAttribute(group.id)}">
+                    <label class="snapshot-group-name">
+                        <input type="checkbox" class="snapshot-group-check" value="${this.escapeAttribute(group.id)}">
+                        ${boardNames.size > 1 ? `<span class="snapshot-board-name">${this.escapeHtml(boardNames.get(group.boardId) || '')}</span>` : ''}
+                        <span>${this.escapeHtml(group.name)}</span>
+                        <span class="snapshot-count">${groupTodos.length}</span>
+                        ${badge(boardGroupIds.has(group.id), false)}
+                    </label>
+                    <ul class="snapshot-todos">
+                        ${groupTodos.map(todo => `
+                            <li>
+                                <label class="snapshot-todo ${todo.completed ? 'completed' : ''}">
+                                    <input type="checkbox" class="snapshot-todo-check" value="${this.escapeAttribute(todo.id)}">
+                                    <span>${this.escapeHtml(todo.text)}</span>
+                                    ${badge(boardTodoIds.has(todo.id), archivedIds.has(todo.id))}
+                                </label>
+                            </li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+        }).join('');
+        
+        // Ticking a column ticks all of its todos
+        preview.querySelectorAll('.snapshot-group').forEach(groupElement => {
+            groupElement.querySelector('.snapshot-group-check').addEventListener('change', (e) => {
+                groupElement.querySelectorAll('.snapshot-todo-check').forEach(check => {
+                    check.checked = e.target.checked;
+                });
+            });
+        });
     }
 
     /**
-     * Handles group name editing
-     * @param {string} groupId - The group ID
-     * @param {HTMLElement} groupNameElement - The group name element
+     * Takes a snapshot of the current board and selects it
+     * @returns {Promise<void>}
      */
-    async handleGroupNameEdit(groupId, groupNameElement) {
+    async handleTakeSnapshot() {
         try {
-            const currentName = groupNameElement.textContent;
-            const newName = prompt('Enter new column name:', currentName);
-            
-            if (!newName || newName.trim() === '' || newName.trim() === currentName) {
-                return;
-            }
-            
-            const success = await this.todoManager.updateGroupName(groupId, newName.trim());
-            if (success) {
-                this.render();
-            }
+            const latestId = this.snapshots.length > 0 ? this.snapshots[0].id : null;
+            const snapshot = await this.todoManager.createSnapshot('Taken manually');
+            await this.loadSnapshotOptions(snapshot.id);
+            this.showToast(snapshot.id === latestId ? 'Nothing changed since the latest snapshot' : 'Snapshot taken');
         } catch (error) {
-            Logger.error('Failed to update group name', error);
-            this.showError('Failed to update column name. Please try again.');
+            Logger.error('Failed to take snapshot', error);
+            this.showError('Failed to take snapshot.', { error, onRetry: () => this.handleTakeSnapshot() });
         }
     }
 
     /**
-     * Handles group deletion
-     * @param {string} groupId - The group ID
+     * Restores the selected snapshot, entirely or just the ticked columns and todos
+     * @param {boolean} restoreAll - Whether to replace the whole board
+     * @returns {Promise<void>}
      */
-    async handleGroupDelete(groupId) {
-        try {
-            const confirmed = confirm('Are you sure you want to delete this column? All tasks in this column will also be deleted.');
-            if (!confirmed) {
+    async handleRestoreSnapshot(restoreAll) {
+        const snapshot = this.snapshots.find(s => s.id === this.elements.snapshotSelect.value);
+        if (!snapshot) {
+            return;
+        }
+        
+        let selection = null;
+        if (!restoreAll) {
+            const checkedValues = selector => [...this.elements.snapshotPreview.querySelectorAll(`${selector}:checked`)].map(check => check.value);
+            selection = {
+                groupIds: checkedValues('.snapshot-group-check'),
+                todoIds: checkedValues('.snapshot-todo-check')
+            };
+            if (selection.groupIds.length === 0 && selection.todoIds.length === 0) {
+                this.showToast('Tick the columns or todos to restore first');
                 return;
             }
-            
-            const success = await this.todoManager.removeGroup(groupId);
-            if (success) {
-                this.render();
+        } else {
+            const { groups, todos } = snapshot.board;
+            const confirmed = await this.confirmAction(
+                'Restore every board?',
+                `Your boards, columns and todos will be replaced by this snapshot's ${groups.length} ${groups.length === 1 ? 'column' : 'columns'} and ${todos.length} ${todos.length === 1 ? 'todo' : 'todos'}. The current boards are saved as a snapshot first, and you can undo this right after.`,
+                'Restore everything'
+            );
+            if (!confirmed) {
+                return;
             }
+        }
+        
+        try {
+            const counts = await this.todoManager.restoreSnapshot(snapshot.id, selection);
+            this.closeSnapshotModal();
+            this.render();
+            this.showUndoToast(`Restored ${counts.todos} ${counts.todos === 1 ? 'todo' : 'todos'} from the snapshot`);
         } catch (error) {
-            Logger.error('Failed to delete group', error);
-            this.showError('Failed to delete column. Please try again.');
+            Logger.error('Failed to restore snapshot', error);
+            this.showSaveError('Failed to restore snapshot.', error);
         }
     }
 
     /**
-     * Handles todo form submission within a group
-     * @param {Event} event - The form submission event
-     * @param {string} groupId - The group ID
+     * Applies the auto-archive and retention settings when the board opens
+     * Failing here should never keep the board from loading.
+     * @returns {Promise<void>}
      */
-    async handleGroupTodoSubmit(event, groupId) {
-        event.preventDefault();
-        
+    async applyArchivePolicy() {
         try {
-            const form = event.target;
-            const input = form.querySelector('.group-todo-input');
-            const text = input.value.trim();
-            
-            if (!text) {
-                Logger.warn('Empty todo text submitted');
-                return;
+            const { archived } = await this.todoManager.applyArchivePolicy();
+            if (archived > 0) {
+                const days = this.todoManager.settings.autoArchiveDays;
+                this.showToast(`Archived ${archived} ${archived === 1 ? 'todo' : 'todos'} completed over ${days} ${days === 1 ? 'day' : 'days'} ago`);
             }
-            
-            await this.todoManager.addTodo(text, groupId);
-            input.value = '';
-            this.render();
-            
         } catch (error) {
-            Logger.error('Failed to handle group todo submission', error);
-            this.showError('Failed to add todo. Please try again.');
+            Logger.warn('Failed to apply archive policy', { error: error.message });
         }
     }
 
     /**
-     * Sets up drag and drop functionality for a group
-     * @param {HTMLElement} groupElement - The group DOM element
-     * @param {TodoGroup} group - The group object
+     * Opens the tag manager
      */
-    setupDragAndDrop(groupElement, group) {
-        const todoList = groupElement.querySelector('.group-todo-list');
-        
-        // Make the todo list a drop zone
-        todoList.addEventListener('dragover', (e) => {
-            e.preventDefault();
-            e.dataTransfer.dropEffect = 'move';
-            todoList.classList.add('drag-over');
-        });
-        
-        todoList.addEventListener('dragleave', (e) => {
-            e.preventDefault();
-            // Only remove class if we're leaving the drop zone entirely
-            if (!todoList.contains(e.relatedTarget)) {
-                todoList.classList.remove('drag-over');
-            }
-        });
-        
-        todoList.addEventListener('drop', (e) => {
-            e.preventDefault();
-            todoList.classList.remove('drag-over');
-            
-            const todoId = e.dataTransfer.getData('text/plain');
-            if (todoId) {
-                this.handleTodoMove(todoId, group.id);
-            }
-        });
-        
-        // Setup drag events for todo items
-        const todoItems = groupElement.querySelectorAll('.todo-item');
-        todoItems.forEach(todoItem => {
-            this.setupTodoDragEvents(todoItem);
-        });
+    openTagModal() {
+        this.renderTagList();
+        this.elements.tagModal.classList.add('show');
     }
 
     /**
-     * Sets up drag events for a todo item
-     * @param {HTMLElement} todoItem - The todo DOM element
+     * Closes the tag manager
      */
-    setupTodoDragEvents(todoItem) {
-        todoItem.addEventListener('dragstart', (e) => {
-            e.dataTransfer.effectAllowed = 'move';
-            e.dataTransfer.setData('text/plain', todoItem.dataset.todoId);
-            todoItem.classList.add('dragging');
-            
-            Logger.info('Started dragging todo', { todoId: todoItem.dataset.todoId });
-        });
-        
-        todoItem.addEventListener('dragend', (e) => {
-            todoItem.classList.remove('dragging');
-            Logger.info('Finished dragging todo', { todoId: todoItem.dataset.todoId });
-        });
+    closeTagModal() {
+        this.elements.tagModal.classList.remove('show');
     }
 
-
-
     /**
-     * Handles moving a todo to a different group
-     * @param {string} todoId - The todo ID
-     * @param {string} newGroupId - The new group ID
+     * Renders the tag manager rows
      */
-    async handleTodoMove(todoId, newGroupId) {
-        try {
-            Logger.info('Moving todo to new group', { todoId, newGroupId });
-            
-            const success = await this.todoManager.moveTodo(todoId, newGroupId);
-            if (success) {
-                this.render();
-                Logger.info('Todo moved successfully', { todoId, newGroupId });
-            }
-        } catch (error) {
-            Logger.error('Failed to move todo', error);
-            this.showError('Failed to move todo. Please try again.');
+    renderTagList() {
+        const tags = this.todoManager.getAllTags();
+        const list = this.elements.tagList;
+        
+        if (tags.length === 0) {
+            list.innerHTML = '<p class="tag-list-empty">No tags yet. Type #tag or @name when adding a todo.</p>';
+            return;
         }
+        
+        list.innerHTML = tags.map(entry => `
+            <div class="tag-row" data-tag="${this.escapeHtml(entry.tag)}">
+                <input type="color" class="tag-color-input" value="${entry.color}" aria-label="Tag color">
+                <input type="text" class="tag-name-input" value="${this.escapeHtml(entry.tag)}" maxlength="${CONFIG.MAX_TAG_LENGTH}" aria-label="Tag name">
+                <span class="tag-count">${entry.count}</span>
+                <button type="button" class="tag-delete" aria-label="Delete tag">×</button>
+            </div>
+        `).join('');
+        
+        list.querySelectorAll('.tag-row').forEach(row => {
+            const tag = row.dataset.tag;
+            const nameInput = row.querySelector('.tag-name-input');
+            
+            row.querySelector('.tag-color-input').addEventListener('change', (e) => this.handleTagRecolor(tag, e.target.value));
+            nameInput.addEventListener('change', () => this.handleTagRename(tag, nameInput.value));
+            nameInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    nameInput.blur();
+                }
+            });
+            row.querySelector('.tag-delete').addEventListener('click', () => this.handleTagDelete(tag));
+        });
     }
 
     /**
-     * Opens the todo edit modal
-     * @param {string} todoId - The todo ID to edit
+     * Handles changing a tag's color in the tag manager
+     * @param {string} tag - The tag
+     * @param {string} color - The new color
      */
-    openTodoModal(todoId) {
+    async handleTagRecolor(tag, color) {
         try {
-            const todo = this.todoManager.todos.find(t => t.id === todoId);
-            if (!todo) {
-                Logger.warn('Todo not found for modal', { todoId });
-                return;
-            }
-            
-            // Populate modal fields
-            this.elements.todoTitle.value = todo.text;
-            this.elements.todoDescription.value = todo.description;
-            
-            // Store the todo ID for the form submission
-            this.elements.todoEditForm.dataset.todoId = todoId;
-            
-            // Show modal
-            this.elements.todoModal.classList.add('show');
-            
-            // Focus on title input
-            this.elements.todoTitle.focus();
-            
-            Logger.info('Opened todo modal', { todoId });
+            await this.todoManager.setTagColor(tag, color);
+            this.render();
         } catch (error) {
-            Logger.error('Failed to open todo modal', error);
+            Logger.error('Failed to recolor tag', error);
+            this.showSaveError('Failed to change tag color.', error);
         }
     }
 
     /**
-     * Closes the todo edit modal
+     * Handles renaming a tag in the tag manager
+     * @param {string} tag - The current tag
+     * @param {string} newTag - The new tag
      */
-    closeModal() {
-        this.elements.todoModal.classList.remove('show');
-        this.elements.todoEditForm.dataset.todoId = '';
-        this.elements.todoTitle.value = '';
-        this.elements.todoDescription.value = '';
+    async handleTagRename(tag, newTag) {
+        try {
+            const value = newTag.trim();
+            await this.todoManager.renameTag(tag, /^[#@]/.test(value) ? value : `#${value}`);
+            this.render();
+        } catch (error) {
+            Logger.error('Failed to rename tag', error);
+            this.showSaveError('Failed to rename tag.', error);
+        }
+        this.renderTagList();
     }
 
     /**
-     * Handles todo edit form submission
-     * @param {Event} event - The form submission event
+     * Handles deleting a tag from every todo
+     * @param {string} tag - The tag
      */
-    async handleTodoEditSubmit(event) {
-        event.preventDefault();
-        
+    async handleTagDelete(tag) {
         try {
-            const todoId = this.elements.todoEditForm.dataset.todoId;
-            const newTitle = this.elements.todoTitle.value.trim();
-            const newDescription = this.elements.todoDescription.value.trim();
-            
-            if (!todoId || !newTitle) {
-                Logger.warn('Invalid todo edit data', { todoId, newTitle });
-                return;
-            }
-            
-            const success = await this.todoManager.updateTodo(todoId, newTitle, newDescription);
-            if (success) {
-                this.closeModal();
-                this.render();
-                Logger.info('Todo updated successfully', { todoId });
-            }
+            const count = await this.todoManager.deleteTag(tag);
+            this.render();
+            this.renderTagList();
+            this.showUndoToast(`Removed ${tag} from ${count} ${count === 1 ? 'todo' : 'todos'}`);
         } catch (error) {
-            Logger.error('Failed to update todo', error);
-            this.showError('Failed to update todo. Please try again.');
+            Logger.error('Failed to delete tag', error);
+            this.showSaveError('Failed to delete tag.', error);
         }
     }
 
@@ -1409,14 +2922,190 @@ class TodoUI {
         return div.innerHTML;
     }
 
+    /**
+     * Escapes text for use inside a quoted HTML attribute
+     * escapeHtml leaves quotes alone, which is only safe between tags.
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Shows a short-lived notification, optionally with an action button
+     * @param {string} message - The message to show
+     * @param {Object} [options] - Optional action settings
+     * @param {string} [options.actionLabel] - Label for the action button
+     * @param {Function} [options.onAction] - Called when the action button is clicked
+     * @param {string} [options.type] - 'error' to style the toast as a failure
+     * @param {number} [options.duration] - How long the toast stays, in milliseconds
+     * @returns {HTMLElement} The toast element
+     */
+    showToast(message, options = {}) {
+        const toast = document.createElement('div');
+        toast.className = options.type === 'error' ? 'toast toast-error' : 'toast';
+        toast.setAttribute('role', options.type === 'error' ? 'alert' : 'status');
+        
+        const text = document.createElement('span');
+        text.className = 'toast-message';
+        text.textContent = message;
+        toast.appendChild(text);
+        
+        const dismiss = () => {
+            clearTimeout(timer);
+            if (toast.parentNode) {
+                toast.parentNode.removeChild(toast);
+            }
+        };
+        
+        if (options.actionLabel && options.onAction) {
+            const action = document.createElement('button');
+            action.type = 'button';
+            action.className = 'toast-action';
+            action.textContent = options.actionLabel;
+            action.addEventListener('click', () => {
+                dismiss();
+                options.onAction();
+            });
+            toast.appendChild(action);
+        }
+        
+        this.elements.toastContainer.appendChild(toast);
+        const timer = setTimeout(dismiss, options.duration || CONFIG.TOAST_DURATION);
+        
+        return toast;
+    }
+
+    /**
+     * Shows a notification offering to undo the action that was just taken
+     * @param {string} message - The message to show
+     */
+    showUndoToast(message) {
+        this.showToast(message, { actionLabel: 'Undo', onAction: () => this.handleUndo() });
+    }
+
     /**
      * Shows an error message to the user
+     * Validation errors show their own message, and running out of Chrome
+     * storage is explained instead of the generic message.
+     * @param {string} message - The error message
+     * @param {Object} [options] - Display options
+     * @param {Error} [options.error] - The error that occurred
+     * @param {Function} [options.onRetry] - Offers a Retry button that calls this
+     */
+    showError(message, options = {}) {
+        const error = options.error || null;
+        const isValidation = error instanceof TodoValidationError;
+        
+        let text = message;
+        if (isValidation) {
+            text = error.message;
+        } else if (error instanceof StorageError && error.isQuotaExceeded()) {
+            text = 'Chrome storage is full. Delete some todos or export a backup to free up space, then retry.';
+        }
+        
+        const canRetry = Boolean(options.onRetry) && !isValidation;
+        this.showToast(text, {
+            type: 'error',
+            duration: CONFIG.ERROR_TOAST_DURATION,
+            actionLabel: canRetry ? 'Retry' : null,
+            onAction: canRetry ? options.onRetry : null
+        });
+    }
+
+    /**
+     * Shows an error for a board change that could not be saved
+     * The change is still in memory, so the board is redrawn with it and
+     * Retry saves the board again.
      * @param {string} message - The error message
+     * @param {Error} error - The error that occurred
+     */
+    showSaveError(message, error) {
+        if (!(error instanceof TodoValidationError)) {
+            this.render();
+        }
+        this.showError(message, { error, onRetry: () => this.handleRetrySave() });
+    }
+
+    /**
+     * Saves the board again after a failed save
+     * @returns {Promise<void>}
+     */
+    async handleRetrySave() {
+        try {
+            await this.todoManager.saveBoard();
+            this.showToast('All changes saved');
+        } catch (error) {
+            Logger.error('Failed to save board on retry', error);
+            this.showSaveError('Still unable to save your changes.', error);
+        }
+    }
+
+    /**
+     * Shows a dialog with a message and a row of buttons
+     * @param {Object} dialog - The dialog content
+     * @param {string} dialog.title - The dialog title
+     * @param {string} dialog.message - The message
+     * @param {Object[]} dialog.actions - Buttons with a label, a value and an optional className
+     * @returns {Promise<*>} The value of the chosen button, or null if the dialog was dismissed
+     */
+    showDialog({ title, message, actions }) {
+        // Only one dialog at a time; a newer one dismisses the older one
+        this.closeConfirmModal();
+        
+        return new Promise(resolve => {
+            this.resolveDialog = (value) => {
+                this.resolveDialog = null;
+                this.elements.confirmModal.classList.remove('show');
+                resolve(value);
+            };
+            
+            this.elements.confirmTitle.textContent = title;
+            this.elements.confirmMessage.textContent = message;
+            this.elements.confirmActions.innerHTML = '';
+            
+            actions.forEach(action => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = action.className || 'btn-secondary';
+                button.textContent = action.label;
+                button.addEventListener('click', () => this.resolveDialog(action.value));
+                this.elements.confirmActions.appendChild(button);
+            });
+            
+            this.elements.confirmModal.classList.add('show');
+            // Focus the first, least destructive choice
+            this.elements.confirmActions.querySelector('button').focus();
+        });
+    }
+
+    /**
+     * Asks the user to confirm a destructive action
+     * @param {string} title - The dialog title
+     * @param {string} message - What will happen
+     * @param {string} confirmLabel - The label of the confirm button
+     * @returns {Promise<boolean>} True if the user confirmed
+     */
+    async confirmAction(title, message, confirmLabel) {
+        const value = await this.showDialog({
+            title,
+            message,
+            actions: [
+                { label: 'Cancel', value: false },
+                { label: confirmLabel, value: true, className: 'btn-danger' }
+            ]
+        });
+        return value === true;
+    }
+
+    /**
+     * Dismisses the confirmation dialog without choosing an action
      */
-    showError(message) {
-        // Simple error display - could be enhanced with a proper notification system
-        console.error('User Error:', message);
-        // In a production environment, this would show a user-friendly notification
+    closeConfirmModal() {
+        if (this.resolveDialog) {
+            this.resolveDialog(null);
+        }
     }
 }
 
@@ -1441,8 +3130,11 @@ class TodoApp {
             
             await this.todoManager.initialize();
             await this.todoUI.initialize();
+            await this.todoUI.applyArchivePolicy();
+            this.todoManager.startSync(() => this.todoUI.handleRemoteChange());
             
             this.todoUI.render();
+            await this.todoUI.handleLocationHash();
             this.isInitialized = true;
             
             Logger.info('TodoApp initialized successfully');
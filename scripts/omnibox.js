@@ -0,0 +1,302 @@
+/**
+ * Chrome Todo Tab Extension - Omnibox Keyword
+ *
+ * This module handles the "todo" address bar keyword: "todo <text>" adds a
+ * todo to the current board, optionally to the column named by an in:<column> token, and
+ * "todo ? <query>" suggests matching todos that open the board on that card.
+ * It is loaded by the background service worker after todo-core.js.
+ *
+ * @author Chrome Todo Tab Extension
+ * @version 1.0.0
+ */
+
+/**
+ * OmniboxService class parsing keyword input into todos and search suggestions
+ */
+class OmniboxService {
+    constructor() {
+        // The board is loaded once per omnibox session instead of on every keystroke
+        this.board = null;
+    }
+
+    /**
+     * Loads the board for the current omnibox session
+     * @returns {Promise<TodoManager>} A manager holding the stored boards, groups and todos
+     */
+    async getBoard() {
+        if (!this.board) {
+            const manager = new TodoManager();
+            await manager.loadBoards();
+            await manager.loadGroups();
+            await manager.loadTodos();
+            this.board = manager;
+        }
+        return this.board;
+    }
+
+    /**
+     * Forgets the loaded board when the omnibox session ends
+     */
+    reset() {
+        this.board = null;
+    }
+
+    /**
+     * Finds the column named by an in: token
+     * Matching ignores case and spaces; a unique prefix is enough.
+     * @param {TodoGroup[]} groups - The columns in board order
+     * @param {string} name - The column name typed after in:
+     * @returns {TodoGroup|null} The column, or null if none matches
+     */
+    findGroup(groups, name) {
+        const normalize = value => value.toLowerCase().replace(/\s+/g, '');
+        const query = normalize(name);
+
+        const exact = groups.find(group => normalize(group.name) === query);
+        if (exact) {
+            return exact;
+        }
+
+        const prefixed = groups.filter(group => normalize(group.name).startsWith(query));
+        return prefixed.length === 1 ? prefixed[0] : null;
+    }
+
+    /**
+     * Parses "todo <text> in:<column>" input into the todo to add
+     * The todo is validated by building a TodoItem, exactly as addTodo will.
+     * @param {string} input - The text typed after the keyword
+     * @param {TodoManager} board - The loaded board
+     * @returns {Object} The text, details and column, or an error message
+     */
+    parseAddInput(input, board) {
+        const groups = board.getGroups();
+        let group = groups[0] || null;
+        let columnName = null;
+
+        const withoutColumn = input.replace(/(^|\s)in:(?:"([^"]+)"|(\S+))/i, (match, space, quoted, bare) => {
+            columnName = quoted || bare;
+            return space;
+        });
+
+        if (columnName !== null) {
+            group = this.findGroup(groups, columnName);
+            if (!group) {
+                return { error: `No column named "${columnName}"`, columnName };
+            }
+        }
+
+        // Inline #tags and @mentions become tags, as on the board
+        const parsed = TodoItem.parseTags(withoutColumn);
+        const text = parsed.text || withoutColumn.trim();
+        const details = parsed.text ? { tags: parsed.tags } : {};
+
+        try {
+            new TodoItem(text, group ? group.id : CONFIG.OMNIBOX_PENDING_GROUP_ID);
+        } catch (error) {
+            if (error instanceof TodoValidationError) {
+                return { error: error.message, group };
+            }
+            throw error;
+        }
+
+        return { text, details, group };
+    }
+
+    /**
+     * Finds open and completed todos whose text matches a search query
+     * @param {TodoManager} board - The loaded board
+     * @param {string} query - The search text
+     * @returns {TodoItem[]} Matching todos, open ones first
+     */
+    searchTodos(board, query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            return [];
+        }
+
+        return board.todos
+            .filter(todo => terms.every(term => todo.text.toLowerCase().includes(term)))
+            .sort((a, b) => Number(a.completed) - Number(b.completed))
+            .slice(0, CONFIG.OMNIBOX_MAX_SUGGESTIONS);
+    }
+
+    /**
+     * Updates the suggestions while the user types
+     * @param {string} input - The text typed after the keyword
+     * @param {Function} suggest - Callback receiving the suggestions
+     * @returns {Promise<void>}
+     */
+    async handleInputChanged(input, suggest) {
+        try {
+            const board = await this.getBoard();
+            const trimmed = input.trim();
+
+            if (trimmed.startsWith('?')) {
+                const query = trimmed.slice(1).trim();
+                chrome.omnibox.setDefaultSuggestion({
+                    description: query ? `Search todos for <match>${this.escapeXml(query)}</match>` : 'Type to search your todos'
+                });
+                suggest(this.searchTodos(board, query).map(todo => this.createTodoSuggestion(todo, board, query)));
+                return;
+            }
+
+            const parsed = this.parseAddInput(trimmed, board);
+            if (parsed.error) {
+                chrome.omnibox.setDefaultSuggestion({ description: `<dim>${this.escapeXml(parsed.error)}</dim>` });
+                suggest(parsed.columnName !== undefined ? this.createColumnSuggestions(board, trimmed, parsed.columnName) : []);
+                return;
+            }
+
+            const groupName = parsed.group ? parsed.group.name : 'a new column';
+            chrome.omnibox.setDefaultSuggestion({
+                description: `Add <match>${this.escapeXml(parsed.text)}</match> <dim>to ${this.escapeXml(groupName)}</dim>`
+            });
+            suggest([]);
+        } catch (error) {
+            Logger.error('Failed to update omnibox suggestions', error);
+        }
+    }
+
+    /**
+     * Creates a suggestion that opens the board on a todo's card
+     * @param {TodoItem} todo - The todo
+     * @param {TodoManager} board - The loaded board
+     * @param {string} query - The search text to highlight
+     * @returns {Object} The suggestion
+     */
+    createTodoSuggestion(todo, board, query) {
+        const group = board.groups.find(g => g.id === todo.groupId);
+        const status = todo.completed ? ' · done' : '';
+
+        return {
+            content: CONFIG.OMNIBOX_OPEN_PREFIX + todo.id,
+            description: `${this.highlightXml(todo.text, query)} <dim>— ${this.escapeXml(group ? group.name : '')}${status}</dim>`
+        };
+    }
+
+    /**
+     * Suggests columns that could complete an in: token that matched none or several
+     * @param {TodoManager} board - The loaded board
+     * @param {string} input - The full input
+     * @param {string} columnName - The column name typed after in:
+     * @returns {Object[]} Suggestions replacing the token with a full column name
+     */
+    createColumnSuggestions(board, input, columnName) {
+        const query = columnName.toLowerCase().replace(/\s+/g, '');
+
+        return board.getGroups()
+            .filter(group => group.name.toLowerCase().replace(/\s+/g, '').includes(query))
+            .slice(0, CONFIG.OMNIBOX_MAX_SUGGESTIONS)
+            .map(group => {
+                const token = /\s/.test(group.name) ? `in:"${group.name}"` : `in:${group.name}`;
+                return {
+                    content: input.replace(/(^|\s)in:(?:"[^"]+"|\S+)/i, (match, space) => space + token),
+                    description: `Add to <match>${this.escapeXml(group.name)}</match>`
+                };
+            });
+    }
+
+    /**
+     * Adds the todo, or opens the board for a chosen suggestion or search
+     * @param {string} input - The text typed after the keyword, or a suggestion's content
+     * @param {string} disposition - Where Chrome wants the result opened
+     * @returns {Promise<void>}
+     */
+    async handleInputEntered(input, disposition) {
+        const trimmed = input.trim();
+        this.reset();
+
+        if (trimmed.startsWith(CONFIG.OMNIBOX_OPEN_PREFIX)) {
+            await this.openBoard(`#card=${encodeURIComponent(trimmed.slice(CONFIG.OMNIBOX_OPEN_PREFIX.length))}`, disposition);
+            return;
+        }
+
+        if (trimmed.startsWith('?')) {
+            const query = trimmed.slice(1).trim();
+            await this.openBoard(query ? `#search=${encodeURIComponent(query)}` : '', disposition);
+            return;
+        }
+
+        let message;
+        try {
+            const result = await BoardQueue.run(async () => {
+                const manager = new TodoManager();
+                await manager.initialize();
+
+                const parsed = this.parseAddInput(trimmed, manager);
+                if (parsed.error) {
+                    throw new TodoValidationError(parsed.error);
+                }
+
+                // A board without columns gets the same default column the board page creates
+                const group = parsed.group || await manager.createDefaultGroup();
+                const todo = await manager.addTodo(parsed.text, group.id, parsed.details);
+                return { todo, group };
+            });
+
+            message = { id: CONFIG.NOTIFICATION_PREFIX + result.todo.id, title: `Added to ${result.group.name}`, text: result.todo.text };
+        } catch (error) {
+            Logger.error('Failed to add todo from omnibox', error);
+            const text = error instanceof TodoValidationError ? error.message : 'Please try again.';
+            message = { id: '', title: 'Could not add todo', text };
+        }
+
+        await chrome.notifications.create(message.id, {
+            type: 'basic',
+            iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+            title: message.title,
+            message: message.text
+        });
+    }
+
+    /**
+     * Opens the board where Chrome asked for the omnibox result
+     * @param {string} hash - Location hash telling the board what to show
+     * @param {string} disposition - 'currentTab', 'newForegroundTab' or 'newBackgroundTab'
+     * @returns {Promise<void>}
+     */
+    async openBoard(hash, disposition) {
+        const url = chrome.runtime.getURL(`newtab.html${hash}`);
+
+        if (disposition === 'currentTab') {
+            await chrome.tabs.update({ url });
+        } else {
+            await chrome.tabs.create({ url, active: disposition !== 'newBackgroundTab' });
+        }
+    }
+
+    /**
+     * Escapes text for the XML used in omnibox descriptions
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+
+    /**
+     * Escapes text and wraps search term matches in match elements
+     * @param {string} text - The text to render
+     * @param {string} query - The search text
+     * @returns {string} The escaped, highlighted XML
+     */
+    highlightXml(text, query) {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        if (terms.length === 0) {
+            return this.escapeXml(text);
+        }
+
+        const pattern = new RegExp(`(${terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})`, 'gi');
+        return text
+            .split(pattern)
+            .map((part, index) => (index % 2 === 1
+                ? `<match>${this.escapeXml(part)}</match>`
+                : this.escapeXml(part)))
+            .join('');
+    }
+}
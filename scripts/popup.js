@@ -0,0 +1,275 @@
+/**
+ * Chrome Todo Tab Extension - Toolbar Popup JavaScript
+ *
+ * This module handles the toolbar popup: a quick-capture form that adds
+ * todos through the shared TodoManager, and a list of todos due today or
+ * overdue that can be checked off. todo-core.js must be loaded first.
+ *
+ * @author Chrome Todo Tab Extension
+ * @version 1.0.0
+ */
+
+/**
+ * PopupUI class handling the quick-capture form and the today list
+ */
+class PopupUI {
+    constructor(todoManager) {
+        this.todoManager = todoManager;
+        this.elements = {};
+        // Todos checked off while the popup is open stay listed so they can be unchecked
+        this.checkedIds = new Set();
+    }
+
+    /**
+     * Initializes the popup
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        try {
+            Logger.info('Initializing PopupUI');
+
+            this.initializeElements();
+            this.setupEventListeners();
+            this.renderGroupOptions();
+            await this.restoreLastGroup();
+            this.renderTodayList();
+            this.elements.captureText.focus();
+
+            Logger.info('PopupUI initialized successfully');
+        } catch (error) {
+            Logger.error('Failed to initialize PopupUI', error);
+            throw new DOMError('Failed to initialize popup');
+        }
+    }
+
+    /**
+     * Initializes DOM element references
+     * @throws {DOMError} When required elements are not found
+     */
+    initializeElements() {
+        const requiredElements = {
+            captureForm: 'captureForm',
+            captureText: 'captureText',
+            captureGroup: 'captureGroup',
+            captureDueDate: 'captureDueDate',
+            captureStatus: 'captureStatus',
+            todayList: 'todayList',
+            todayEmpty: 'todayEmpty',
+            openBoard: 'openBoard'
+        };
+
+        for (const [key, id] of Object.entries(requiredElements)) {
+            const element = document.getElementById(id);
+            if (!element) {
+                throw new DOMError(`Required element not found: ${id}`);
+            }
+            this.elements[key] = element;
+        }
+    }
+
+    /**
+     * Sets up event listeners for the popup
+     */
+    setupEventListeners() {
+        this.elements.captureForm.addEventListener('submit', this.handleCaptureSubmit.bind(this));
+        this.elements.openBoard.addEventListener('click', () => this.openBoard());
+        this.elements.captureGroup.addEventListener('change', () => {
+            chrome.storage.local.set({ [CONFIG.POPUP_GROUP_STORAGE_KEY]: this.elements.captureGroup.value });
+        });
+    }
+
+    /**
+     * Fills the column picker, keeping the current choice when it still exists
+     */
+    renderGroupOptions() {
+        const select = this.elements.captureGroup;
+        const selected = select.value;
+
+        select.innerHTML = this.todoManager.getGroups()
+            .map(group => `<option value="${this.escapeAttribute(group.id)}">${this.escapeHtml(group.name)}</option>`)
+            .join('');
+
+        if (this.todoManager.getGroups().some(group => group.id === selected)) {
+            select.value = selected;
+        }
+    }
+
+    /**
+     * Selects the column used for the previous quick capture
+     * @returns {Promise<void>}
+     */
+    async restoreLastGroup() {
+        const result = await chrome.storage.local.get(CONFIG.POPUP_GROUP_STORAGE_KEY);
+        const groupId = result[CONFIG.POPUP_GROUP_STORAGE_KEY];
+
+        if (this.todoManager.getGroups().some(group => group.id === groupId)) {
+            this.elements.captureGroup.value = groupId;
+        }
+    }
+
+    /**
+     * Gets the todos shown in the today list, overdue first
+     * @returns {TodoItem[]} Todos due today or overdue, plus ones checked off in this popup
+     */
+    getTodayTodos() {
+        const now = new Date();
+
+        return this.todoManager.todos
+            .filter(todo => this.checkedIds.has(todo.id) || ['overdue', 'today'].includes(todo.getDueStatus(now)))
+            .sort((a, b) => (a.dueDate || '').localeCompare(b.dueDate || '') || a.position - b.position);
+    }
+
+    /**
+     * Renders the today and overdue list
+     */
+    renderTodayList() {
+        const now = new Date();
+        const todos = this.getTodayTodos();
+
+        this.elements.todayList.innerHTML = todos.map(todo => {
+            const status = todo.getDueStatus(now);
+            const badge = status === 'overdue' ? '<span class="today-badge overdue">Overdue</span>' : '';
+
+            return `
+                <li class="today-item ${todo.completed ? 'completed' : ''}" data-todo-id="${this.escapeAttribute(todo.id)}">
+                    <input type="checkbox" ${todo.completed ? 'checked' : ''}>
+                    <button type="button" class="today-text">${this.escapeHtml(todo.text)}</button>
+                    ${badge}
+                </li>
+            `;
+        }).join('');
+
+        this.elements.todayEmpty.hidden = todos.length > 0;
+
+        this.elements.todayList.querySelectorAll('.today-item').forEach((item, index) => {
+            const todoId = item.dataset.todoId;
+            const todo = todos[index];
+            const group = this.todoManager.groups.find(g => g.id === todo.groupId);
+            const checkbox = item.querySelector('input');
+            const text = item.querySelector('.today-text');
+
+            // Set as attributes so quotes in the text cannot break the markup
+            checkbox.setAttribute('aria-label', `Complete ${todo.text}`);
+            text.title = group ? group.name : '';
+
+            checkbox.addEventListener('change', () => this.handleToggle(todoId));
+            text.addEventListener('click', () => this.openBoard(todoId));
+        });
+    }
+
+    /**
+     * Handles quick-capture form submission
+     * @param {Event} event - The form submission event
+     */
+    async handleCaptureSubmit(event) {
+        event.preventDefault();
+
+        const text = this.elements.captureText.value.trim();
+        const groupId = this.elements.captureGroup.value;
+
+        if (!text || !groupId) {
+            Logger.warn('Empty quick capture submitted');
+            return;
+        }
+
+        try {
+            // Inline #tags and @mentions become tags, as on the board
+            const parsed = TodoItem.parseTags(text);
+            const details = parsed.text ? { tags: parsed.tags } : {};
+            if (this.elements.captureDueDate.value) {
+                details.dueDate = this.elements.captureDueDate.value;
+            }
+
+            await this.todoManager.addTodo(parsed.text || text, groupId, details);
+
+            const group = this.todoManager.groups.find(g => g.id === groupId);
+            this.elements.captureText.value = '';
+            this.elements.captureDueDate.value = '';
+            this.showStatus(`Added to ${group.name}`);
+            this.renderTodayList();
+            this.elements.captureText.focus();
+        } catch (error) {
+            Logger.error('Failed to add todo from popup', error);
+            this.showStatus(error instanceof TodoValidationError ? error.message : 'Failed to add todo. Please try again.', true);
+        }
+    }
+
+    /**
+     * Toggles a todo from the today list
+     * @param {string} todoId - The todo ID
+     */
+    async handleToggle(todoId) {
+        try {
+            this.checkedIds.add(todoId);
+            await this.todoManager.toggleTodo(todoId);
+            this.renderTodayList();
+        } catch (error) {
+            Logger.error('Failed to toggle todo from popup', error);
+            this.showStatus('Failed to update todo. Please try again.', true);
+        }
+    }
+
+    /**
+     * Opens the board in a new tab, optionally with a todo's edit modal
+     * @param {string} [todoId] - The todo to open
+     */
+    openBoard(todoId = null) {
+        const hash = todoId ? `#todo=${encodeURIComponent(todoId)}` : '';
+        chrome.tabs.create({ url: chrome.runtime.getURL(`newtab.html${hash}`) });
+        window.close();
+    }
+
+    /**
+     * Shows a one-line status message under the form
+     * @param {string} message - The message
+     * @param {boolean} [isError=false] - Whether the message reports a failure
+     */
+    showStatus(message, isError = false) {
+        this.elements.captureStatus.textContent = message;
+        this.elements.captureStatus.classList.toggle('error', isError);
+    }
+
+    /**
+     * Handles changes written by the board or another synced machine
+     */
+    handleRemoteChange() {
+        this.renderGroupOptions();
+        this.renderTodayList();
+    }
+
+    /**
+     * Escapes HTML to prevent XSS attacks
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Escapes text for use inside a quoted HTML attribute
+     * @param {string} text - The text to escape
+     * @returns {string} The escaped text
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+}
+
+// Initialize the popup when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    try {
+        Logger.info('Popup loaded, initializing');
+        const todoManager = new TodoManager();
+        await todoManager.initialize();
+
+        const popupUI = new PopupUI(todoManager);
+        await popupUI.initialize();
+        todoManager.startSync(() => popupUI.handleRemoteChange());
+    } catch (error) {
+        Logger.error('Failed to initialize popup', error);
+        document.body.textContent = `Failed to load todos: ${error.message}`;
+    }
+});
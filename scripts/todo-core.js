@@ -0,0 +1,4479 @@
+/**
+ * Chrome Todo Tab Extension - Shared Todo Model and Storage
+ * 
+ * This module holds the configuration, todo and group models, storage and
+ * TodoManager shared by the new tab page and the background service worker.
+ * It has no DOM dependencies so it can be loaded with importScripts.
+ * 
+ * @author Chrome Todo Tab Extension
+ * @version 1.0.0
+ */
+
+// Constants for configuration and validation
+const CONFIG = {
+    STORAGE_KEY: 'chrome_todo_tab_todos',
+    GROUPS_STORAGE_KEY: 'chrome_todo_tab_groups',
+    BOARDS_STORAGE_KEY: 'chrome_todo_tab_boards',
+    CURRENT_BOARD_STORAGE_KEY: 'chrome_todo_tab_current_board',
+    DEFAULT_BOARD_ID: 'board_default',
+    DEFAULT_BOARD_NAME: 'My Board',
+    // Ids end up in HTML attributes, so stored and imported ones must look generated
+    ID_PATTERN: /^[A-Za-z0-9_-]{1,100}$/,
+    TAGS_STORAGE_KEY: 'chrome_todo_tab_tags',
+    SETTINGS_STORAGE_KEY: 'chrome_todo_tab_settings',
+    REMINDERS_STORAGE_KEY: 'chrome_todo_tab_reminders',
+    ARCHIVE_STORAGE_KEY: 'chrome_todo_tab_archive',
+    SCHEMA_VERSION_KEY: 'chrome_todo_tab_schema_version',
+    SCHEMA_VERSION: 3,
+    MIGRATION_BACKUP_KEY: 'chrome_todo_tab_migration_backup',
+    QUARANTINE_STORAGE_KEY: 'chrome_todo_tab_quarantine',
+    MAX_QUARANTINE_ENTRIES: 100,
+    SNAPSHOTS_STORAGE_KEY: 'chrome_todo_tab_snapshots',
+    SNAPSHOT_ALARM_NAME: 'board-snapshot',
+    SNAPSHOT_CHECK_MINUTES: 60,
+    REMINDER_ALARM_NAME: 'todo-reminder-check',
+    REMINDER_CHECK_MINUTES: 1,
+    NOTIFICATION_PREFIX: 'todo:',
+    CAPTURE_COMMAND: 'open-board-capture',
+    POPUP_GROUP_STORAGE_KEY: 'chrome_todo_tab_popup_group',
+    OMNIBOX_OPEN_PREFIX: 'open:',
+    OMNIBOX_PENDING_GROUP_ID: 'pending',
+    OMNIBOX_MAX_SUGGESTIONS: 5,
+    CONTEXT_MENU_TITLES: {
+        link: 'Add link as todo',
+        selection: 'Add selected text as todo',
+        page: 'Add this page as todo'
+    },
+    STORAGE_INDEX_KEY: 'chrome_todo_tab_todos_index',
+    SYNC_SHARD_BYTES: 7000,
+    SYNC_QUOTA_BYTES: 102400,
+    LOCAL_QUOTA_BYTES: 10485760,
+    STORAGE_WARNING_RATIO: 0.8,
+    HISTORY_STORAGE_KEY: 'chrome_todo_tab_history',
+    HISTORY_LIMIT: 50,
+    TOAST_DURATION: 5000,
+    ERROR_TOAST_DURATION: 10000,
+    FOCUS_FLASH_DURATION: 2000,
+    EXPORT_FORMAT: 'chrome-todo-tab-board',
+    EXPORT_VERSION: 1,
+    MAX_TODO_LENGTH: 200,
+    MAX_GROUP_NAME_LENGTH: 50,
+    MAX_BOARD_NAME_LENGTH: 50,
+    MAX_WIP_LIMIT: 99,
+    DUE_SOON_DAYS: 2,
+    PRIORITIES: ['none', 'low', 'medium', 'high'],
+    SORT_OPTIONS: ['manual', 'priority', 'dueDate', 'createdAt', 'alphabetical'],
+    DUE_FILTERS: ['any', 'overdue', 'today', 'upcoming', 'none'],
+    UPCOMING_DAYS: 7,
+    MAX_TAGS: 10,
+    MAX_TAG_LENGTH: 30,
+    MAX_SUBTASKS: 50,
+    MAX_SOURCE_TITLE_LENGTH: 300,
+    SOURCE_PROTOCOLS: ['http:', 'https:'],
+    RECURRENCE_FREQUENCIES: ['daily', 'weekdays', 'weekly', 'monthly', 'interval'],
+    MAX_RECURRENCE_INTERVAL: 365,
+    ACTIVITY_TYPES: ['created', 'moved', 'renamed', 'completed', 'reopened'],
+    MAX_ACTIVITY_ENTRIES: 20,
+    MAX_ACTIVITY_TEXT_LENGTH: 60,
+    WEEKDAY_NAMES: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'],
+    DEFAULT_SETTINGS: {
+        autoCompleteParent: true,
+        remindersEnabled: true,
+        dueReminderHour: 9,
+        autoArchiveDays: 0,
+        archiveRetentionDays: 0,
+        snapshotIntervalHours: 24,
+        snapshotRetention: 10
+    },
+    SETTING_RANGES: {
+        dueReminderHour: [0, 23],
+        autoArchiveDays: [0, 365],
+        archiveRetentionDays: [0, 3650],
+        snapshotIntervalHours: [0, 168],
+        snapshotRetention: [1, 50]
+    },
+    TAG_COLORS: ['#2D7D7D', '#1565c0', '#6a1b9a', '#c2185b', '#d84315', '#f9a825', '#2e7d32', '#546e7a'],
+    ANIMATION_DURATION: 300,
+    GROUP_DRAG_TYPE: 'application/x-chrome-todo-tab-group',
+    LOG_PREFIX: '[ChromeTodoTab]'
+};
+
+// Logging utility for debugging and monitoring
+const Logger = {
+    /**
+     * Logs informational messages for application flow tracking
+     * @param {string} message - The message to log
+     * @param {Object} [data] - Optional data to include
+     */
+    info: function(message, data = null) {
+        console.log(`${CONFIG.LOG_PREFIX} INFO: ${message}`, data || '');
+    },
+
+    /**
+     * Logs warning messages for recoverable issues
+     * @param {string} message - The warning message
+     * @param {Object} [data] - Optional data to include
+     */
+    warn: function(message, data = null) {
+        console.warn(`${CONFIG.LOG_PREFIX} WARN: ${message}`, data || '');
+    },
+
+    /**
+     * Logs error messages for debugging failed operations
+     * @param {string} message - The error message
+     * @param {Error} [error] - Optional error object
+     */
+    error: function(message, error = null) {
+        console.error(`${CONFIG.LOG_PREFIX} ERROR: ${message}`, error || '');
+    }
+};
+
+// Custom exception classes for different error categories
+class TodoValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TodoValidationError';
+    }
+}
+
+class StorageError extends Error {
+    constructor(message, cause = null) {
+        super(message);
+        this.name = 'StorageError';
+        this.cause = cause;
+    }
+
+    /**
+     * Checks whether this failure, or an error that caused it, was Chrome storage running out of quota
+     * @returns {boolean} True for quota failures
+     */
+    isQuotaExceeded() {
+        for (let error = this; error; error = error.cause) {
+            if (/quota|MAX_WRITE_OPERATIONS/i.test(error.message || '')) {
+                return true;
+            }
+        }
+        return false;
+    }
+}
+
+class DOMError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'DOMError';
+    }
+}
+
+/**
+ * Ordered storage migrations
+ * Each one upgrades the raw stored board ({ groups, todos, archive }) from the
+ * previous schema version to its own. Data saved before the schema was
+ * versioned counts as version 1. Append new migrations here and raise
+ * CONFIG.SCHEMA_VERSION to the last version. A migration can run twice if
+ * the previous attempt was interrupted, so it must be safe to repeat.
+ * Records that are not objects are passed through so loading can quarantine them.
+ */
+const MIGRATIONS = [
+    {
+        version: 2,
+        description: 'Store defaults for the fields added since the first release',
+        migrate(board) {
+            const todoDefaults = {
+                description: '',
+                dueDate: null,
+                priority: 'none',
+                tags: [],
+                subtasks: [],
+                recurrence: null,
+                reminderAt: null,
+                source: null,
+                completedAt: null
+            };
+            const upgradeTodo = todo => (todo && typeof todo === 'object'
+                ? { ...todoDefaults, ...todo, completed: Boolean(todo.completed) }
+                : todo);
+            
+            return {
+                groups: board.groups.map(group => (group && typeof group === 'object' ? { sortBy: 'manual', ...group } : group)),
+                todos: board.todos.map(upgradeTodo),
+                archive: board.archive.map(upgradeTodo)
+            };
+        }
+    },
+    {
+        version: 3,
+        description: 'Put existing columns on the default board',
+        migrate(board) {
+            return {
+                ...board,
+                groups: board.groups.map(group => (group && typeof group === 'object'
+                    ? { boardId: CONFIG.DEFAULT_BOARD_ID, ...group }
+                    : group))
+            };
+        }
+    }
+];
+
+/**
+ * TodoBoard class representing a named board with its own columns
+ * Implements proper encapsulation and validation
+ */
+class TodoBoard {
+    /**
+     * Creates a new TodoBoard instance
+     * @param {string} name - The board name
+     * @param {number} [position=0] - The position of the board in the board switcher
+     * @param {string} [id] - Optional unique identifier
+     * @throws {TodoValidationError} When name or id is invalid
+     */
+    constructor(name, position = 0, id = null) {
+        this.validateName(name);
+        if (id) {
+            this.validateId(id);
+        }
+        
+        this.id = id || this.generateId();
+        this.name = name.trim();
+        this.position = Number(position) || 0;
+        this.createdAt = new Date().toISOString();
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Validates a stored or imported board ID
+     * @param {string} id - The ID to validate
+     * @throws {TodoValidationError} When the ID is not made of letters, digits, _ and -
+     */
+    validateId(id) {
+        if (typeof id !== 'string' || !CONFIG.ID_PATTERN.test(id)) {
+            throw new TodoValidationError('Board ID may only contain letters, digits, _ and -');
+        }
+    }
+
+    /**
+     * Validates the board name
+     * @param {string} name - The name to validate
+     * @throws {TodoValidationError} When name is invalid
+     */
+    validateName(name) {
+        if (!name || typeof name !== 'string') {
+            throw new TodoValidationError('Board name must be a non-empty string');
+        }
+        
+        const trimmedName = name.trim();
+        if (trimmedName.length === 0) {
+            throw new TodoValidationError('Board name cannot be empty or whitespace only');
+        }
+        
+        if (trimmedName.length > CONFIG.MAX_BOARD_NAME_LENGTH) {
+            throw new TodoValidationError(`Board name cannot exceed ${CONFIG.MAX_BOARD_NAME_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Generates a unique identifier for the board
+     * @returns {string} A unique ID
+     */
+    generateId() {
+        return 'board_' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    /**
+     * Updates the board name
+     * @param {string} newName - The new name
+     * @throws {TodoValidationError} When new name is invalid
+     */
+    updateName(newName) {
+        this.validateName(newName);
+        this.name = newName.trim();
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Updates the board position
+     * @param {number} newPosition - The new position
+     */
+    updatePosition(newPosition) {
+        this.position = Number(newPosition) || 0;
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Converts the board to a plain object for storage
+     * @returns {Object} The board as a plain object
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            position: this.position,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Creates a TodoBoard from a plain object
+     * @param {Object} data - The board data object
+     * @returns {TodoBoard} A new TodoBoard instance
+     * @throws {TodoValidationError} When data is invalid
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new TodoValidationError('Invalid board data format');
+        }
+        
+        const board = new TodoBoard(data.name, data.position, data.id);
+        
+        ['createdAt', 'updatedAt'].forEach(key => {
+            if (typeof data[key] === 'string' && !isNaN(new Date(data[key]).getTime())) {
+                board[key] = data[key];
+            }
+        });
+        
+        return board;
+    }
+}
+
+/**
+ * TodoItem class representing a single todo item
+ * Implements proper encapsulation and validation
+ */
+/**
+ * TodoGroup class representing a group/column for organizing todos
+ * Implements proper encapsulation and validation
+ */
+class TodoGroup {
+    /**
+     * Creates a new TodoGroup instance
+     * @param {string} name - The group name
+     * @param {number} [position=0] - The position/order of the group
+     * @param {string} [id] - Optional unique identifier
+     * @param {string} [boardId] - The board the group belongs to
+     * @throws {TodoValidationError} When name, id or board ID is invalid
+     */
+    constructor(name, position = 0, id = null, boardId = CONFIG.DEFAULT_BOARD_ID) {
+        this.validateName(name);
+        this.validateBoardId(boardId);
+        if (id) {
+            this.validateId(id);
+        }
+        
+        this.id = id || this.generateId();
+        this.name = name.trim();
+        this.position = Number(position) || 0;
+        this.boardId = boardId;
+        this.sortBy = 'manual';
+        this.color = null;
+        this.wipLimit = 0;
+        this.isDoneColumn = false;
+        this.createdAt = new Date().toISOString();
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Validates the group name
+     * @param {string} name - The name to validate
+     * @throws {TodoValidationError} When name is invalid
+     */
+    validateName(name) {
+        if (!name || typeof name !== 'string') {
+            throw new TodoValidationError('Group name must be a non-empty string');
+        }
+        
+        const trimmedName = name.trim();
+        if (trimmedName.length === 0) {
+            throw new TodoValidationError('Group name cannot be empty or whitespace only');
+        }
+        
+        if (trimmedName.length > CONFIG.MAX_GROUP_NAME_LENGTH) {
+            throw new TodoValidationError(`Group name cannot exceed ${CONFIG.MAX_GROUP_NAME_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Validates the board ID
+     * @param {string} boardId - The board ID to validate
+     * @throws {TodoValidationError} When board ID is invalid
+     */
+    validateBoardId(boardId) {
+        if (!boardId || typeof boardId !== 'string') {
+            throw new TodoValidationError('Board ID must be a non-empty string');
+        }
+        
+        if (!CONFIG.ID_PATTERN.test(boardId)) {
+            throw new TodoValidationError('Board ID may only contain letters, digits, _ and -');
+        }
+    }
+
+    /**
+     * Validates a stored or imported group ID
+     * @param {string} id - The ID to validate
+     * @throws {TodoValidationError} When the ID is not made of letters, digits, _ and -
+     */
+    validateId(id) {
+        if (typeof id !== 'string' || !CONFIG.ID_PATTERN.test(id)) {
+            throw new TodoValidationError('Group ID may only contain letters, digits, _ and -');
+        }
+    }
+
+    /**
+     * Validates the sort order for the group's todos
+     * @param {string} sortBy - The sort option
+     * @throws {TodoValidationError} When sortBy is not a known option
+     */
+    validateSortBy(sortBy) {
+        if (!CONFIG.SORT_OPTIONS.includes(sortBy)) {
+            throw new TodoValidationError(`Sort order must be one of: ${CONFIG.SORT_OPTIONS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Validates the column color
+     * @param {string|null} color - The color as #rrggbb, or null for none
+     * @throws {TodoValidationError} When color is not a hex color
+     */
+    validateColor(color) {
+        if (color !== null && (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color))) {
+            throw new TodoValidationError('Column color must be a hex color like #2d7d7d');
+        }
+    }
+
+    /**
+     * Validates the work-in-progress limit
+     * @param {number} wipLimit - The most open todos the column should hold, 0 for no limit
+     * @throws {TodoValidationError} When the limit is not a whole number in range
+     */
+    validateWipLimit(wipLimit) {
+        if (!Number.isInteger(wipLimit) || wipLimit < 0 || wipLimit > CONFIG.MAX_WIP_LIMIT) {
+            throw new TodoValidationError(`WIP limit must be a whole number from 0 to ${CONFIG.MAX_WIP_LIMIT}`);
+        }
+    }
+
+    /**
+     * Validates the done column flag
+     * @param {boolean} isDoneColumn - Whether todos moved into the column are completed
+     * @throws {TodoValidationError} When the flag is not a boolean
+     */
+    validateDoneColumn(isDoneColumn) {
+        if (typeof isDoneColumn !== 'boolean') {
+            throw new TodoValidationError('Done column must be true or false');
+        }
+    }
+
+    /**
+     * Generates a unique identifier for the group
+     * @returns {string} A unique ID
+     */
+    generateId() {
+        return 'group_' + Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    /**
+     * Updates the group name
+     * @param {string} newName - The new name
+     * @throws {TodoValidationError} When new name is invalid
+     */
+    updateName(newName) {
+        this.validateName(newName);
+        this.name = newName.trim();
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Updates the group position
+     * @param {number} newPosition - The new position
+     */
+    updatePosition(newPosition) {
+        this.position = Number(newPosition) || 0;
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Updates how the group's todos are sorted
+     * @param {string} newSortBy - The sort option
+     * @throws {TodoValidationError} When the sort option is invalid
+     */
+    updateSortBy(newSortBy) {
+        this.validateSortBy(newSortBy);
+        this.sortBy = newSortBy;
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Updates the column settings
+     * Every value is validated before any is applied.
+     * @param {Object} changes - New values for color, wipLimit and isDoneColumn
+     * @throws {TodoValidationError} When a setting is unknown or invalid
+     */
+    updateSettings(changes) {
+        const validators = {
+            color: value => this.validateColor(value),
+            wipLimit: value => this.validateWipLimit(value),
+            isDoneColumn: value => this.validateDoneColumn(value)
+        };
+        
+        Object.entries(changes).forEach(([key, value]) => {
+            if (!validators[key]) {
+                throw new TodoValidationError(`Unknown column setting: ${key}`);
+            }
+            validators[key](value);
+        });
+        
+        if ('color' in changes) {
+            this.color = changes.color && changes.color.toLowerCase();
+        }
+        if ('wipLimit' in changes) {
+            this.wipLimit = changes.wipLimit;
+        }
+        if ('isDoneColumn' in changes) {
+            this.isDoneColumn = changes.isDoneColumn;
+        }
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Converts the group to a plain object for storage
+     * @returns {Object} The group as a plain object
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            position: this.position,
+            boardId: this.boardId,
+            sortBy: this.sortBy,
+            color: this.color,
+            wipLimit: this.wipLimit,
+            isDoneColumn: this.isDoneColumn,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Creates a TodoGroup from a plain object
+     * @param {Object} data - The group data object
+     * @returns {TodoGroup} A new TodoGroup instance
+     * @throws {TodoValidationError} When data is invalid
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new TodoValidationError('Invalid group data format');
+        }
+        
+        // Columns saved before boards existed belong to the default board
+        const group = new TodoGroup(data.name, data.position, data.id, data.boardId || CONFIG.DEFAULT_BOARD_ID);
+        
+        const sortBy = data.sortBy || 'manual';
+        group.validateSortBy(sortBy);
+        group.sortBy = sortBy;
+        
+        group.updateSettings({
+            color: data.color || null,
+            wipLimit: data.wipLimit || 0,
+            isDoneColumn: Boolean(data.isDoneColumn)
+        });
+        
+        // The constructor stamps the current time, so put the stored times back
+        ['createdAt', 'updatedAt'].forEach(key => {
+            if (typeof data[key] === 'string' && !isNaN(new Date(data[key]).getTime())) {
+                group[key] = data[key];
+            }
+        });
+        
+        return group;
+    }
+}
+
+class TodoItem {
+    /**
+     * Creates a new TodoItem instance
+     * @param {string} text - The todo text content
+     * @param {string} groupId - The ID of the group this todo belongs to
+     * @param {boolean} [completed=false] - Whether the todo is completed
+     * @param {string} [description=''] - Optional description for the todo
+     * @param {string} [id] - Optional unique identifier
+     * @param {number} [position=0] - The position/order of the todo within its group
+     * @throws {TodoValidationError} When text, groupId or id is invalid
+     */
+    constructor(text, groupId, completed = false, description = '', id = null, position = 0) {
+        this.validateText(text);
+        this.validateGroupId(groupId);
+        if (id) {
+            this.validateId(id);
+        }
+        
+        this.id = id || this.generateId();
+        this.text = text.trim();
+        this.groupId = groupId;
+        this.completed = Boolean(completed);
+        this.description = description || '';
+        this.position = Number(position) || 0;
+        this.dueDate = null;
+        this.priority = 'none';
+        this.tags = [];
+        this.subtasks = [];
+        this.recurrence = null;
+        this.reminderAt = null;
+        this.source = null;
+        this.completedAt = null;
+        this.createdAt = new Date().toISOString();
+        this.updatedAt = new Date().toISOString();
+        this.activity = [{ type: 'created', at: this.createdAt }];
+    }
+
+    /**
+     * Formats a date as a local YYYY-MM-DD key, the format used for due dates
+     * @param {Date} date - The date to format
+     * @returns {string} The date key
+     */
+    static getDateKey(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Parses a local YYYY-MM-DD key back into a date at local midnight
+     * @param {string} dateKey - The date key
+     * @returns {Date} The date
+     */
+    static parseDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return new Date(year, month - 1, day);
+    }
+
+    /**
+     * Checks whether a URL is an http or https address that is safe to link to
+     * @param {string} url - The URL to check
+     * @returns {boolean} True for web addresses
+     */
+    static isWebUrl(url) {
+        try {
+            return CONFIG.SOURCE_PROTOCOLS.includes(new URL(url).protocol);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Describes a recurrence rule for display, e.g. "Weekly on Mon, Thu"
+     * @param {Object} rule - The recurrence rule
+     * @returns {string} The description
+     */
+    static describeRecurrence(rule) {
+        switch (rule.frequency) {
+            case 'daily':
+                return 'Daily';
+            case 'weekdays':
+                return 'Weekdays';
+            case 'weekly':
+                return `Weekly on ${rule.days.map(day => CONFIG.WEEKDAY_NAMES[day]).join(', ')}`;
+            case 'monthly':
+                return 'Monthly';
+            default:
+                return `Every ${rule.interval} days`;
+        }
+    }
+
+    /**
+     * Splits inline tags such as #frontend or @alice out of todo text
+     * @param {string} text - The text typed by the user
+     * @returns {Object} The text without tags and the normalized tags
+     */
+    static parseTags(text) {
+        const tags = [];
+        const remaining = String(text).replace(/(^|\s)([#@][\p{L}\p{N}_-]+)(?=\s|$)/gu, (match, space, tag) => {
+            const normalized = tag.toLowerCase();
+            if (!tags.includes(normalized)) {
+                tags.push(normalized);
+            }
+            return space;
+        });
+        
+        return { text: remaining.replace(/\s+/g, ' ').trim(), tags };
+    }
+
+    /**
+     * Validates the todo text content
+     * @param {string} text - The text to validate
+     * @throws {TodoValidationError} When text is invalid
+     */
+    validateText(text) {
+        if (!text || typeof text !== 'string') {
+            throw new TodoValidationError('Todo text must be a non-empty string');
+        }
+        
+        const trimmedText = text.trim();
+        if (trimmedText.length === 0) {
+            throw new TodoValidationError('Todo text cannot be empty or whitespace only');
+        }
+        
+        if (trimmedText.length > CONFIG.MAX_TODO_LENGTH) {
+            throw new TodoValidationError(`Todo text cannot exceed ${CONFIG.MAX_TODO_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Validates the group ID
+     * @param {string} groupId - The group ID to validate
+     * @throws {TodoValidationError} When groupId is invalid
+     */
+    validateGroupId(groupId) {
+        if (!groupId || typeof groupId !== 'string') {
+            throw new TodoValidationError('Group ID must be a non-empty string');
+        }
+        
+        if (!CONFIG.ID_PATTERN.test(groupId)) {
+            throw new TodoValidationError('Group ID may only contain letters, digits, _ and -');
+        }
+    }
+
+    /**
+     * Validates a stored or imported todo ID
+     * @param {string} id - The ID to validate
+     * @throws {TodoValidationError} When the ID is not made of letters, digits, _ and -
+     */
+    validateId(id) {
+        if (typeof id !== 'string' || !CONFIG.ID_PATTERN.test(id)) {
+            throw new TodoValidationError('Todo ID may only contain letters, digits, _ and -');
+        }
+    }
+
+    /**
+     * Validates an optional due date
+     * @param {string|null} dueDate - The due date as YYYY-MM-DD, or empty for none
+     * @throws {TodoValidationError} When dueDate is not a valid calendar date
+     */
+    validateDueDate(dueDate) {
+        if (dueDate === null || dueDate === undefined || dueDate === '') {
+            return;
+        }
+        
+        if (typeof dueDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dueDate)) {
+            throw new TodoValidationError('Due date must be in YYYY-MM-DD format');
+        }
+        
+        const [year, month, day] = dueDate.split('-').map(Number);
+        const date = new Date(year, month - 1, day);
+        if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+            throw new TodoValidationError('Due date is not a valid date');
+        }
+    }
+
+    /**
+     * Validates the priority level
+     * @param {string} priority - The priority level
+     * @throws {TodoValidationError} When priority is not a known level
+     */
+    validatePriority(priority) {
+        if (!CONFIG.PRIORITIES.includes(priority)) {
+            throw new TodoValidationError(`Priority must be one of: ${CONFIG.PRIORITIES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Validates a list of tags
+     * @param {string[]} tags - Tags starting with # or @
+     * @throws {TodoValidationError} When tags are not a valid list
+     */
+    validateTags(tags) {
+        if (!Array.isArray(tags)) {
+            throw new TodoValidationError('Tags must be an array');
+        }
+        
+        if (tags.length > CONFIG.MAX_TAGS) {
+            throw new TodoValidationError(`A todo cannot have more than ${CONFIG.MAX_TAGS} tags`);
+        }
+        
+        tags.forEach(tag => TodoItem.validateTag(tag));
+    }
+
+    /**
+     * Validates a single tag
+     * @param {string} tag - The tag, e.g. #frontend or @alice
+     * @throws {TodoValidationError} When the tag is invalid
+     */
+    static validateTag(tag) {
+        if (typeof tag !== 'string' || !/^[#@][\p{L}\p{N}_-]+$/u.test(tag)) {
+            throw new TodoValidationError(`Invalid tag: ${tag}`);
+        }
+        
+        if (tag.length > CONFIG.MAX_TAG_LENGTH) {
+            throw new TodoValidationError(`Tags cannot exceed ${CONFIG.MAX_TAG_LENGTH} characters`);
+        }
+    }
+
+    /**
+     * Validates a list of subtasks
+     * @param {Object[]} subtasks - Subtasks with text and done
+     * @throws {TodoValidationError} When subtasks are not a valid list
+     */
+    validateSubtasks(subtasks) {
+        if (!Array.isArray(subtasks)) {
+            throw new TodoValidationError('Subtasks must be an array');
+        }
+        
+        if (subtasks.length > CONFIG.MAX_SUBTASKS) {
+            throw new TodoValidationError(`A todo cannot have more than ${CONFIG.MAX_SUBTASKS} subtasks`);
+        }
+        
+        subtasks.forEach(subtask => {
+            if (!subtask || typeof subtask !== 'object') {
+                throw new TodoValidationError('Invalid subtask data format');
+            }
+            this.validateText(subtask.text);
+        });
+    }
+
+    /**
+     * Validates an optional reminder time
+     * @param {string|null} reminderAt - The reminder time as an ISO string, or empty for none
+     * @throws {TodoValidationError} When reminderAt is not a valid date and time
+     */
+    validateReminder(reminderAt) {
+        if (reminderAt === null || reminderAt === undefined || reminderAt === '') {
+            return;
+        }
+        
+        if (typeof reminderAt !== 'string' || isNaN(new Date(reminderAt).getTime())) {
+            throw new TodoValidationError('Reminder must be a valid date and time');
+        }
+    }
+
+    /**
+     * Validates the time a todo was completed
+     * @param {string|null} completedAt - ISO date string, or null if not recorded
+     * @throws {TodoValidationError} When the time is not a valid date
+     */
+    validateCompletedAt(completedAt) {
+        if (completedAt === null || completedAt === undefined) {
+            return;
+        }
+        
+        if (typeof completedAt !== 'string' || isNaN(new Date(completedAt).getTime())) {
+            throw new TodoValidationError('Completion time must be a valid date');
+        }
+    }
+
+    /**
+     * Validates a stored activity log
+     * @param {Object[]} activity - Entries with a type, an ISO date and optional from and to text
+     * @throws {TodoValidationError} When the log is malformed
+     */
+    validateActivity(activity) {
+        if (!Array.isArray(activity)) {
+            throw new TodoValidationError('Activity must be an array');
+        }
+        
+        activity.forEach(entry => {
+            if (!entry || !CONFIG.ACTIVITY_TYPES.includes(entry.type)) {
+                throw new TodoValidationError('Activity entries must have a known type');
+            }
+            if (typeof entry.at !== 'string' || isNaN(new Date(entry.at).getTime())) {
+                throw new TodoValidationError('Activity entries must have a valid date');
+            }
+            if (['from', 'to'].some(key => key in entry && typeof entry[key] !== 'string')) {
+                throw new TodoValidationError('Activity details must be text');
+            }
+        });
+    }
+
+    /**
+     * Validates the optional web page a todo was captured from
+     * Only http and https links are allowed since the card renders them as links.
+     * @param {Object|null} source - The source with a url and an optional title
+     * @throws {TodoValidationError} When the source is malformed
+     */
+    validateSource(source) {
+        if (source === null || source === undefined) {
+            return;
+        }
+        
+        if (typeof source !== 'object' || typeof source.url !== 'string') {
+            throw new TodoValidationError('Source must have a URL');
+        }
+        
+        if (!TodoItem.isWebUrl(source.url)) {
+            throw new TodoValidationError('Source URL must be a web address');
+        }
+        
+        if (source.title !== undefined && source.title !== null && typeof source.title !== 'string') {
+            throw new TodoValidationError('Source title must be a string');
+        }
+    }
+
+    /**
+     * Validates an optional recurrence rule
+     * @param {Object|null} rule - The rule with a frequency, plus days for weekly or interval for interval
+     * @throws {TodoValidationError} When the rule is malformed
+     */
+    validateRecurrence(rule) {
+        if (rule === null || rule === undefined) {
+            return;
+        }
+        
+        if (typeof rule !== 'object' || !CONFIG.RECURRENCE_FREQUENCIES.includes(rule.frequency)) {
+            throw new TodoValidationError(`Recurrence must be one of: ${CONFIG.RECURRENCE_FREQUENCIES.join(', ')}`);
+        }
+        
+        if (rule.frequency === 'weekly') {
+            const days = rule.days;
+            if (!Array.isArray(days) || days.length === 0 || !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+                throw new TodoValidationError('Weekly recurrence needs at least one weekday');
+            }
+        }
+        
+        if (rule.frequency === 'interval') {
+            const interval = rule.interval;
+            if (!Number.isInteger(interval) || interval < 1 || interval > CONFIG.MAX_RECURRENCE_INTERVAL) {
+                throw new TodoValidationError(`Recurrence interval must be between 1 and ${CONFIG.MAX_RECURRENCE_INTERVAL} days`);
+            }
+        }
+    }
+
+    /**
+     * Generates a unique identifier for the todo item
+     * @returns {string} A unique ID
+     */
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    /**
+     * Toggles the completion status of the todo
+     */
+    toggleCompletion() {
+        this.completed = !this.completed;
+        this.completedAt = this.completed ? new Date().toISOString() : null;
+        this.updatedAt = new Date().toISOString();
+        this.logActivity(this.completed ? 'completed' : 'reopened');
+    }
+
+    /**
+     * Updates the todo text content
+     * @param {string} newText - The new text content
+     * @throws {TodoValidationError} When new text is invalid
+     */
+    updateText(newText) {
+        this.validateText(newText);
+        
+        const text = newText.trim();
+        if (text !== this.text) {
+            // The new text is the next entry's "from" or the current text, so only the old one is kept
+            this.logActivity('renamed', { from: TodoItem.shortenActivityText(this.text) });
+        }
+        
+        this.text = text;
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Appends an entry to the todo's activity log
+     * Entries are never edited; only the newest ones are kept so the log
+     * stays small enough for sync storage.
+     * @param {string} type - One of CONFIG.ACTIVITY_TYPES
+     * @param {Object} [details] - Extra fields, such as from and to for moves, or from for renames
+     */
+    logActivity(type, details = {}) {
+        this.activity.push({ type, at: new Date().toISOString(), ...details });
+        if (this.activity.length > CONFIG.MAX_ACTIVITY_ENTRIES) {
+            this.activity.splice(0, this.activity.length - CONFIG.MAX_ACTIVITY_ENTRIES);
+        }
+    }
+
+    /**
+     * Shortens text kept in the activity log so long renames cannot push
+     * the todo past the sync storage per-item limit
+     * @param {string} text - The text to shorten
+     * @returns {string} The text, cut to CONFIG.MAX_ACTIVITY_TEXT_LENGTH characters
+     */
+    static shortenActivityText(text) {
+        return text.length > CONFIG.MAX_ACTIVITY_TEXT_LENGTH
+            ? text.slice(0, CONFIG.MAX_ACTIVITY_TEXT_LENGTH - 1) + '…'
+            : text;
+    }
+
+    /**
+     * Updates the todo description
+     * @param {string} newDescription - The new description
+     */
+    updateDescription(newDescription) {
+        this.description = newDescription || '';
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Updates the todo due date
+     * @param {string|null} newDueDate - The due date as YYYY-MM-DD, or empty to clear it
+     * @throws {TodoValidationError} When the due date is invalid
+     */
+    updateDueDate(newDueDate) {
+        this.validateDueDate(newDueDate);
+        this.dueDate = newDueDate || null;
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Updates the todo priority
+     * @param {string} newPriority - The priority level
+     * @throws {TodoValidationError} When the priority is invalid
+     */
+    updatePriority(newPriority) {
+        this.validatePriority(newPriority);
+        this.priority = newPriority;
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Updates the todo tags
+     * @param {string[]} newTags - The tags, duplicates are dropped
+     * @throws {TodoValidationError} When the tags are invalid
+     */
+    updateTags(newTags) {
+        const tags = [...new Set((newTags || []).map(tag => String(tag).toLowerCase()))];
+        this.validateTags(tags);
+        this.tags = tags;
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Updates the todo reminder time
+     * @param {string|null} newReminderAt - The reminder time as an ISO string, or empty to clear it
+     * @throws {TodoValidationError} When the reminder time is invalid
+     */
+    updateReminder(newReminderAt) {
+        this.validateReminder(newReminderAt);
+        this.reminderAt = newReminderAt ? new Date(newReminderAt).toISOString() : null;
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Updates the web page the todo was captured from
+     * The URL is stored in its parsed form, which percent-encodes quotes and spaces.
+     * @param {Object|null} newSource - The source with a url and an optional title, or null to clear it
+     * @throws {TodoValidationError} When the source is invalid
+     */
+    updateSource(newSource) {
+        this.validateSource(newSource);
+        this.source = newSource
+            ? { url: new URL(newSource.url).href, title: (newSource.title || '').trim().slice(0, CONFIG.MAX_SOURCE_TITLE_LENGTH) }
+            : null;
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Updates the todo recurrence rule
+     * @param {Object|null} newRule - The recurrence rule, or null to stop repeating
+     * @throws {TodoValidationError} When the rule is invalid
+     */
+    updateRecurrence(newRule) {
+        this.validateRecurrence(newRule);
+        
+        if (!newRule) {
+            this.recurrence = null;
+        } else if (newRule.frequency === 'weekly') {
+            this.recurrence = { frequency: 'weekly', days: [...new Set(newRule.days)].sort((a, b) => a - b) };
+        } else if (newRule.frequency === 'interval') {
+            this.recurrence = { frequency: 'interval', interval: newRule.interval };
+        } else {
+            this.recurrence = { frequency: newRule.frequency };
+        }
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Gets the date the recurrence rule falls on after a given date
+     * @param {Date} date - The date to step from
+     * @param {number} anchorDay - Day of month monthly rules repeat on
+     * @returns {Date} The next date matching the rule
+     */
+    getNextOccurrence(date, anchorDay) {
+        const next = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        
+        switch (this.recurrence.frequency) {
+            case 'monthly': {
+                // Months without the anchor day fall back to their last day
+                const lastDay = new Date(next.getFullYear(), next.getMonth() + 2, 0).getDate();
+                return new Date(next.getFullYear(), next.getMonth() + 1, Math.min(anchorDay, lastDay));
+            }
+            case 'interval':
+                next.setDate(next.getDate() + this.recurrence.interval);
+                return next;
+            case 'weekdays':
+                do {
+                    next.setDate(next.getDate() + 1);
+                } while (next.getDay() === 0 || next.getDay() === 6);
+                return next;
+            case 'weekly':
+                do {
+                    next.setDate(next.getDate() + 1);
+                } while (!this.recurrence.days.includes(next.getDay()));
+                return next;
+            default:
+                next.setDate(next.getDate() + 1);
+                return next;
+        }
+    }
+
+    /**
+     * Gets the due date for the next occurrence of a recurring todo
+     * Steps from the current due date (or today) and skips occurrences
+     * that are already in the past, so overdue chores come back due today or later.
+     * @param {Date} [now] - The current time, defaults to now
+     * @returns {string|null} The next due date as YYYY-MM-DD, or null if the todo does not repeat
+     */
+    getNextDueDate(now = new Date()) {
+        if (!this.recurrence) {
+            return null;
+        }
+        
+        const today = TodoItem.getDateKey(now);
+        let date = TodoItem.parseDateKey(this.dueDate || today);
+        const anchorDay = date.getDate();
+        
+        do {
+            date = this.getNextOccurrence(date, anchorDay);
+        } while (TodoItem.getDateKey(date) < today);
+        
+        return TodoItem.getDateKey(date);
+    }
+
+    /**
+     * Replaces the todo subtasks, keeping their order
+     * @param {Object[]} newSubtasks - Subtasks with text, done and an optional id
+     * @throws {TodoValidationError} When the subtasks are invalid
+     */
+    updateSubtasks(newSubtasks) {
+        this.validateSubtasks(newSubtasks);
+        this.subtasks = newSubtasks.map(subtask => ({
+            id: subtask.id || 'sub_' + this.generateId(),
+            text: subtask.text.trim(),
+            done: Boolean(subtask.done)
+        }));
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Gets how many subtasks are done
+     * @returns {Object} The done and total subtask counts
+     */
+    getSubtaskProgress() {
+        return {
+            done: this.subtasks.filter(subtask => subtask.done).length,
+            total: this.subtasks.length
+        };
+    }
+
+    /**
+     * Checks whether the todo has subtasks and all of them are done
+     * @returns {boolean} True if every subtask is done
+     */
+    areSubtasksDone() {
+        return this.subtasks.length > 0 && this.subtasks.every(subtask => subtask.done);
+    }
+
+    /**
+     * Gets how urgent the todo is based on its due date
+     * Completed todos and todos without a due date are never urgent.
+     * @param {Date} [now] - The current time, defaults to now
+     * @returns {string|null} 'overdue', 'today', 'soon', 'later' or null
+     */
+    getDueStatus(now = new Date()) {
+        if (!this.dueDate || this.completed) {
+            return null;
+        }
+        
+        const today = TodoItem.getDateKey(now);
+        if (this.dueDate < today) {
+            return 'overdue';
+        }
+        if (this.dueDate === today) {
+            return 'today';
+        }
+        
+        const soon = new Date(now.getFullYear(), now.getMonth(), now.getDate() + CONFIG.DUE_SOON_DAYS);
+        return this.dueDate <= TodoItem.getDateKey(soon) ? 'soon' : 'later';
+    }
+
+    /**
+     * Updates the todo position within its group
+     * @param {number} newPosition - The new position
+     */
+    updatePosition(newPosition) {
+        this.position = Number(newPosition) || 0;
+        this.updatedAt = new Date().toISOString();
+    }
+
+    /**
+     * Converts the todo item to a plain object for storage
+     * @returns {Object} The todo item as a plain object
+     */
+    toJSON() {
+        return {
+            id: this.id,
+            text: this.text,
+            groupId: this.groupId,
+            completed: this.completed,
+            description: this.description,
+            position: this.position,
+            dueDate: this.dueDate,
+            priority: this.priority,
+            tags: [...this.tags],
+            subtasks: this.subtasks.map(subtask => ({ ...subtask })),
+            recurrence: this.recurrence ? { ...this.recurrence } : null,
+            reminderAt: this.reminderAt,
+            source: this.source ? { ...this.source } : null,
+            completedAt: this.completedAt,
+            activity: this.activity.map(entry => ({ ...entry })),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    /**
+     * Creates a TodoItem from a plain object
+     * @param {Object} data - The todo data object
+     * @returns {TodoItem} A new TodoItem instance
+     * @throws {TodoValidationError} When data is invalid
+     */
+    static fromJSON(data) {
+        if (!data || typeof data !== 'object') {
+            throw new TodoValidationError('Invalid todo data format');
+        }
+        
+        const todo = new TodoItem(data.text, data.groupId, data.completed, data.description || '', data.id, data.position);
+        
+        todo.validateDueDate(data.dueDate);
+        todo.dueDate = data.dueDate || null;
+        
+        const priority = data.priority || 'none';
+        todo.validatePriority(priority);
+        todo.priority = priority;
+        
+        const tags = data.tags || [];
+        todo.validateTags(tags);
+        todo.tags = [...tags];
+        
+        if (data.subtasks) {
+            todo.updateSubtasks(data.subtasks);
+        }
+        
+        if (data.recurrence) {
+            todo.updateRecurrence(data.recurrence);
+        }
+        
+        todo.validateReminder(data.reminderAt);
+        todo.reminderAt = data.reminderAt || null;
+        
+        if (data.source) {
+            todo.updateSource(data.source);
+        }
+        
+        // Todos completed before completion times were recorded have none
+        const completedAt = todo.completed ? data.completedAt || null : null;
+        todo.validateCompletedAt(completedAt);
+        todo.completedAt = completedAt;
+        
+        // The constructor and the setters above stamp the current time, so put the stored times back
+        ['createdAt', 'updatedAt'].forEach(key => {
+            if (typeof data[key] === 'string' && !isNaN(new Date(data[key]).getTime())) {
+                todo[key] = data[key];
+            }
+        });
+        
+        if (data.activity) {
+            todo.validateActivity(data.activity);
+            todo.activity = data.activity.slice(-CONFIG.MAX_ACTIVITY_ENTRIES).map(entry => {
+                if (entry.type !== 'renamed') {
+                    return { ...entry };
+                }
+                // Renames logged with the full old and new text are shortened
+                return { type: entry.type, at: entry.at, from: TodoItem.shortenActivityText(entry.from || '') };
+            });
+        } else {
+            // Todos saved before the log existed only get their creation
+            todo.activity = [{ type: 'created', at: todo.createdAt }];
+        }
+        
+        return todo;
+    }
+}
+
+/**
+ * ArchivedTodo class representing a completed todo moved off the board
+ */
+class ArchivedTodo {
+    /**
+     * Creates a new ArchivedTodo instance
+     * @param {TodoItem} todo - The archived todo
+     * @param {string} [groupName=''] - Name of the column it was archived from, kept in case the column is deleted
+     * @param {string} [archivedAt] - When it was archived, defaults to now
+     */
+    constructor(todo, groupName = '', archivedAt = null) {
+        this.id = todo.id;
+        this.todo = todo;
+        this.groupName = groupName;
+        this.archivedAt = archivedAt || new Date().toISOString();
+    }
+
+    /**
+     * Gets when the todo was completed, falling back to when it was archived
+     * @returns {string} ISO date string
+     */
+    getCompletedAt() {
+        return this.todo.completedAt || this.archivedAt;
+    }
+
+    /**
+     * Converts the archived todo to a plain object for storage
+     * @returns {Object} The todo's fields plus the archive details
+     */
+    toJSON() {
+        return {
+            ...this.todo.toJSON(),
+            groupName: this.groupName,
+            archivedAt: this.archivedAt
+        };
+    }
+
+    /**
+     * Creates an ArchivedTodo from a plain object
+     * @param {Object} data - The archived todo data object
+     * @returns {ArchivedTodo} A new ArchivedTodo instance
+     * @throws {TodoValidationError} When data is invalid
+     */
+    static fromJSON(data) {
+        const todo = TodoItem.fromJSON(data);
+        
+        if (typeof data.archivedAt !== 'string' || isNaN(new Date(data.archivedAt).getTime())) {
+            throw new TodoValidationError('Archived todo must have a valid archive date');
+        }
+        
+        return new ArchivedTodo(todo, typeof data.groupName === 'string' ? data.groupName : '', data.archivedAt);
+    }
+}
+
+/**
+ * TodoStorage class handling persistence of todos in Chrome storage
+ * Shards todos across several sync items to stay under the per-item quota,
+ * falling back to local storage when sync cannot hold the board
+ */
+class TodoStorage {
+    constructor() {
+        this.activeArea = 'sync';
+        this.hasLegacyData = false;
+        this.movedElsewhere = false;
+        this.writerId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    /**
+     * Gets the storage key for a todo shard
+     * @param {number} index - The shard index
+     * @returns {string} The shard key
+     */
+    getShardKey(index) {
+        return `${CONFIG.STORAGE_KEY}_${index}`;
+    }
+
+    /**
+     * Measures how many bytes an item takes up against the sync quota
+     * @param {string} key - The storage key
+     * @param {*} value - The value to store
+     * @returns {number} The size in bytes
+     */
+    measure(key, value) {
+        return new TextEncoder().encode(key + JSON.stringify(value)).length;
+    }
+
+    /**
+     * Splits todo data into shards that each fit in a single sync item
+     * @param {Object[]} todoData - The serialized todos
+     * @returns {Object[][]} The shards, always at least one
+     */
+    shardTodos(todoData) {
+        const shards = [[]];
+        let shardBytes = 0;
+        
+        todoData.forEach(todo => {
+            const todoBytes = this.measure('', todo) + 1;
+            if (shards[shards.length - 1].length > 0 && shardBytes + todoBytes > CONFIG.SYNC_SHARD_BYTES) {
+                shards.push([]);
+                shardBytes = 0;
+            }
+            shards[shards.length - 1].push(todo);
+            shardBytes += todoBytes;
+        });
+        
+        return shards;
+    }
+
+    /**
+     * Reads the shard index from a storage area
+     * @param {chrome.storage.StorageArea} area - The storage area
+     * @returns {Promise<Object|null>} The index, or null if the area holds no shards
+     */
+    async readIndex(area) {
+        const result = await area.get(CONFIG.STORAGE_INDEX_KEY);
+        return result[CONFIG.STORAGE_INDEX_KEY] || null;
+    }
+
+    /**
+     * Reads and joins all shards listed in an index
+     * @param {chrome.storage.StorageArea} area - The storage area
+     * @param {Object} index - The shard index
+     * @returns {Promise<Object[]>} The serialized todos
+     */
+    async readShards(area, index) {
+        const keys = [];
+        for (let i = 0; i < index.shardCount; i++) {
+            keys.push(this.getShardKey(i));
+        }
+        
+        const result = await area.get(keys);
+        return keys.reduce((todos, key) => todos.concat(result[key] || []), []);
+    }
+
+    /**
+     * Writes shards and their index to a storage area, removing stale shards
+     * @param {chrome.storage.StorageArea} area - The storage area
+     * @param {Object[][]} shards - The shards to write
+     * @param {Object} index - The shard index
+     * @returns {Promise<void>}
+     */
+    async writeShards(area, shards, index) {
+        const previous = await this.readIndex(area);
+        const items = { [CONFIG.STORAGE_INDEX_KEY]: index };
+        shards.forEach((shard, i) => {
+            items[this.getShardKey(i)] = shard;
+        });
+        
+        await area.set(items);
+        
+        const staleKeys = [];
+        for (let i = shards.length; i < (previous ? previous.shardCount : 0); i++) {
+            staleKeys.push(this.getShardKey(i));
+        }
+        if (staleKeys.length > 0) {
+            await area.remove(staleKeys);
+        }
+    }
+
+    /**
+     * Removes all shards and the index from a storage area
+     * @param {chrome.storage.StorageArea} area - The storage area
+     * @returns {Promise<void>}
+     */
+    async clearShards(area) {
+        const index = await this.readIndex(area);
+        if (!index) {
+            return;
+        }
+        
+        const keys = [CONFIG.STORAGE_INDEX_KEY];
+        for (let i = 0; i < index.shardCount; i++) {
+            keys.push(this.getShardKey(i));
+        }
+        await area.remove(keys);
+    }
+
+    /**
+     * Loads serialized todos from whichever storage area was written last
+     * @returns {Promise<Object[]>} The serialized todos
+     */
+    async loadTodos() {
+        const [syncIndex, localIndex] = await Promise.all([
+            this.readIndex(chrome.storage.sync),
+            this.readIndex(chrome.storage.local)
+        ]);
+        
+        if (localIndex && (!syncIndex || localIndex.savedAt > syncIndex.savedAt)) {
+            this.activeArea = 'local';
+            this.movedElsewhere = false;
+            return this.readShards(chrome.storage.local, localIndex);
+        }
+        
+        if (syncIndex) {
+            this.activeArea = 'sync';
+            this.movedElsewhere = Boolean(syncIndex.movedToLocal);
+            return this.readShards(chrome.storage.sync, syncIndex);
+        }
+        
+        // Fall back to the original single-item format
+        const result = await chrome.storage.sync.get(CONFIG.STORAGE_KEY);
+        this.hasLegacyData = Array.isArray(result[CONFIG.STORAGE_KEY]);
+        return result[CONFIG.STORAGE_KEY] || [];
+    }
+
+    /**
+     * Saves serialized todos, sharded in sync storage or locally if sync is full
+     * @param {Object[]} todoData - The serialized todos
+     * @returns {Promise<void>}
+     */
+    async saveTodos(todoData) {
+        const shards = this.shardTodos(todoData);
+        const index = { shardCount: shards.length, savedAt: new Date().toISOString(), writerId: this.writerId };
+        
+        try {
+            await this.writeShards(chrome.storage.sync, shards, index);
+            this.activeArea = 'sync';
+            await this.clearShards(chrome.storage.local);
+        } catch (error) {
+            Logger.warn('Sync storage rejected todos, saving to local storage instead', { error: error.message });
+            await this.writeShards(chrome.storage.local, [todoData], { ...index, shardCount: 1 });
+            this.activeArea = 'local';
+            this.movedElsewhere = false;
+            await this.markSyncMoved();
+        }
+        
+        if (this.hasLegacyData) {
+            await chrome.storage.sync.remove(CONFIG.STORAGE_KEY);
+            this.hasLegacyData = false;
+        }
+    }
+
+    /**
+     * Marks the sync copy of the todos as out of date after they moved to local storage
+     * The shards stay so other devices keep their last synced board rather than
+     * seeing every todo deleted; they read the mark and warn that it is stale.
+     * The old savedAt is kept so this device still prefers its local copy.
+     * @returns {Promise<void>}
+     */
+    async markSyncMoved() {
+        try {
+            const syncIndex = await this.readIndex(chrome.storage.sync);
+            if (syncIndex && !syncIndex.movedToLocal) {
+                await chrome.storage.sync.set({
+                    [CONFIG.STORAGE_INDEX_KEY]: { ...syncIndex, movedToLocal: true, writerId: this.writerId }
+                });
+            }
+        } catch (error) {
+            Logger.warn('Failed to mark synced todos as moved', { error: error.message });
+        }
+    }
+
+    /**
+     * Checks whether a storage change touched todos written by another page
+     * @param {Object} changes - The changes reported by chrome.storage.onChanged
+     * @returns {boolean} True if todos changed elsewhere
+     */
+    isRemoteTodoChange(changes) {
+        const indexChange = changes[CONFIG.STORAGE_INDEX_KEY];
+        if (indexChange) {
+            return !indexChange.newValue || indexChange.newValue.writerId !== this.writerId;
+        }
+        return Boolean(changes[CONFIG.STORAGE_KEY]);
+    }
+
+    /**
+     * Gets how much of the quota is in use in the storage area the todos are saved in
+     * @returns {Promise<Object>} Usage with area, bytesInUse, quotaBytes, ratio and
+     *     movedElsewhere, which is true when another device saves the todos locally
+     *     and the synced copy is out of date
+     */
+    async getUsage() {
+        const area = chrome.storage[this.activeArea];
+        const bytesInUse = await area.getBytesInUse(null);
+        const quotaBytes = area.QUOTA_BYTES || (this.activeArea === 'local' ? CONFIG.LOCAL_QUOTA_BYTES : CONFIG.SYNC_QUOTA_BYTES);
+        
+        return {
+            area: this.activeArea,
+            bytesInUse,
+            quotaBytes,
+            ratio: bytesInUse / quotaBytes,
+            movedElsewhere: this.movedElsewhere
+        };
+    }
+}
+
+/**
+ * TodoManager class handling todo list operations and persistence
+ * Implements comprehensive error handling and logging
+ */
+class TodoManager {
+    constructor() {
+        this.todos = [];
+        this.groups = [];
+        this.boards = [];
+        this.currentBoardId = CONFIG.DEFAULT_BOARD_ID;
+        this.archive = [];
+        this.quarantine = [];
+        this.quarantineChanged = false;
+        this.storage = new TodoStorage();
+        this.syncedTodoIds = new Set();
+        this.syncedGroupIds = new Set();
+        this.syncedBoardIds = new Set();
+        this.undoStack = [];
+        this.redoStack = [];
+        this.currentFilter = 'active';
+        this.searchQuery = '';
+        this.columnFilter = null;
+        this.dueFilter = 'any';
+        this.tagFilter = null;
+        this.tagColors = {};
+        this.settings = { ...CONFIG.DEFAULT_SETTINGS };
+        this.isInitialized = false;
+    }
+
+    /**
+     * Initializes the todo manager and loads existing todos and groups
+     * @returns {Promise<void>}
+     */
+    async initialize() {
+        try {
+            Logger.info('Initializing TodoManager');
+            await this.migrateStorage();
+            await this.loadQuarantine();
+            await this.loadBoards();
+            await this.loadGroups();
+            await this.loadTodos();
+            await this.loadTags();
+            await this.loadSettings();
+            await this.loadArchive();
+            if (this.quarantineChanged) {
+                await this.saveQuarantine();
+            }
+            await this.loadHistory();
+            
+            // Save the default board on first use, and a board for any column whose board is missing
+            if (this.addMissingBoards() > 0 || this.syncedBoardIds.size === 0) {
+                await this.saveBoards();
+            }
+            this.ensureCurrentBoard();
+            
+            // Create default group if the current board has no groups
+            if (this.getGroups().length === 0) {
+                await this.createDefaultGroup();
+            }
+            
+            this.isInitialized = true;
+            Logger.info('TodoManager initialized successfully');
+        } catch (error) {
+            Logger.error('Failed to initialize TodoManager', error);
+            throw new StorageError('Failed to initialize todo manager', error);
+        }
+    }
+
+    /**
+     * Upgrades stored data to CONFIG.SCHEMA_VERSION by running each pending migration in order
+     * The raw data is copied to local storage first so a failed or faulty
+     * migration can be recovered from.
+     * @returns {Promise<number>} The number of migrations applied
+     * @throws {StorageError} When storage operation fails
+     */
+    async migrateStorage() {
+        try {
+            const versionResult = await chrome.storage.sync.get(CONFIG.SCHEMA_VERSION_KEY);
+            const storedVersion = versionResult[CONFIG.SCHEMA_VERSION_KEY] || 1;
+            
+            if (storedVersion > CONFIG.SCHEMA_VERSION) {
+                // Written by a newer version of the extension, probably on another machine
+                Logger.warn('Stored data uses a newer schema, skipping migrations', { storedVersion, schemaVersion: CONFIG.SCHEMA_VERSION });
+                return 0;
+            }
+            
+            const pending = MIGRATIONS
+                .filter(migration => migration.version > storedVersion)
+                .sort((a, b) => a.version - b.version);
+            if (pending.length === 0) {
+                return 0;
+            }
+            
+            const groupResult = await chrome.storage.sync.get(CONFIG.GROUPS_STORAGE_KEY);
+            const archiveResult = await chrome.storage.local.get(CONFIG.ARCHIVE_STORAGE_KEY);
+            let board = {
+                groups: groupResult[CONFIG.GROUPS_STORAGE_KEY] || [],
+                todos: await this.storage.loadTodos(),
+                archive: archiveResult[CONFIG.ARCHIVE_STORAGE_KEY] || []
+            };
+            
+            const isEmpty = board.groups.length === 0 && board.todos.length === 0 && board.archive.length === 0;
+            if (!isEmpty) {
+                Logger.info('Migrating storage', { from: storedVersion, to: CONFIG.SCHEMA_VERSION });
+                
+                await chrome.storage.local.set({
+                    [CONFIG.MIGRATION_BACKUP_KEY]: { version: storedVersion, createdAt: new Date().toISOString(), board }
+                });
+                
+                pending.forEach(migration => {
+                    board = migration.migrate(board);
+                    Logger.info('Applied storage migration', { version: migration.version, description: migration.description });
+                });
+                
+                await chrome.storage.sync.set({ [CONFIG.GROUPS_STORAGE_KEY]: board.groups });
+                await this.storage.saveTodos(board.todos);
+                await chrome.storage.local.set({ [CONFIG.ARCHIVE_STORAGE_KEY]: board.archive });
+            }
+            
+            // Written last so an interrupted migration runs again on the next load
+            await chrome.storage.sync.set({ [CONFIG.SCHEMA_VERSION_KEY]: CONFIG.SCHEMA_VERSION });
+            
+            Logger.info('Storage is at schema version', { version: CONFIG.SCHEMA_VERSION, applied: isEmpty ? 0 : pending.length });
+            return isEmpty ? 0 : pending.length;
+        } catch (error) {
+            Logger.error('Failed to migrate storage', error);
+            throw new StorageError('Failed to migrate stored data', error);
+        }
+    }
+
+    /**
+     * Gets the copy of the stored board taken before the last migration
+     * @returns {Promise<Object|null>} The backup with its schema version, creation time and raw board, or null
+     * @throws {StorageError} When storage operation fails
+     */
+    async getMigrationBackup() {
+        try {
+            const result = await chrome.storage.local.get(CONFIG.MIGRATION_BACKUP_KEY);
+            return result[CONFIG.MIGRATION_BACKUP_KEY] || null;
+        } catch (error) {
+            Logger.error('Failed to read migration backup', error);
+            throw new StorageError('Failed to read migration backup', error);
+        }
+    }
+
+    /**
+     * Sets aside a stored record that failed validation instead of dropping it
+     * Records already in quarantine are not added twice.
+     * @param {string} kind - 'board', 'group', 'todo' or 'archive'
+     * @param {*} data - The stored record
+     * @param {Error} error - Why the record was rejected
+     */
+    quarantineRecord(kind, data, error) {
+        const serialized = JSON.stringify(data);
+        if (this.quarantine.some(entry => entry.kind === kind && JSON.stringify(entry.data) === serialized)) {
+            return;
+        }
+        
+        Logger.warn(`Invalid ${kind} data found, quarantining`, { data, error: error.message });
+        this.quarantine.push({ kind, data, error: error.message, quarantinedAt: new Date().toISOString() });
+        if (this.quarantine.length > CONFIG.MAX_QUARANTINE_ENTRIES) {
+            this.quarantine.splice(0, this.quarantine.length - CONFIG.MAX_QUARANTINE_ENTRIES);
+        }
+        this.quarantineChanged = true;
+    }
+
+    /**
+     * Empties the quarantine
+     * @returns {Promise<number>} The number of records deleted
+     * @throws {StorageError} When storage operation fails
+     */
+    async clearQuarantine() {
+        const count = this.quarantine.length;
+        this.quarantine = [];
+        await this.saveQuarantine();
+        Logger.info('Quarantine cleared', { count });
+        return count;
+    }
+
+    /**
+     * Creates a default group for new installations
+     * @returns {Promise<TodoGroup>} The created default group
+     */
+    async createDefaultGroup() {
+        try {
+            Logger.info('Creating default group');
+            const defaultGroup = await this.addGroup('To Do');
+            Logger.info('Default group created successfully', { id: defaultGroup.id });
+            return defaultGroup;
+        } catch (error) {
+            Logger.error('Failed to create default group', error);
+            throw new StorageError('Failed to create default group', error);
+        }
+    }
+
+    /**
+     * Gets all boards sorted by position
+     * @returns {TodoBoard[]} The sorted boards
+     */
+    getBoards() {
+        return [...this.boards].sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Gets the board being shown
+     * @returns {TodoBoard|null} The current board, or null before boards are loaded
+     */
+    getCurrentBoard() {
+        return this.boards.find(board => board.id === this.currentBoardId) || null;
+    }
+
+    /**
+     * Falls back to the first board when the current one no longer exists
+     * @returns {boolean} True if the current board changed
+     */
+    ensureCurrentBoard() {
+        if (this.getCurrentBoard() || this.boards.length === 0) {
+            return false;
+        }
+        
+        Logger.info('Current board not found, switching to the first board', { boardId: this.currentBoardId });
+        this.currentBoardId = this.getBoards()[0].id;
+        this.columnFilter = null;
+        return true;
+    }
+
+    /**
+     * Adds a board for every group whose board does not exist
+     * Columns can outlive their board record, for example when the record was
+     * quarantined or the columns came from an older version on another machine.
+     * @param {TodoBoard[]} [knownBoards=[]] - Boards to take the missing ones from, such as a snapshot's
+     * @returns {number} The number of boards added
+     */
+    addMissingBoards(knownBoards = []) {
+        const missingIds = new Set(this.groups
+            .map(group => group.boardId)
+            .filter(boardId => !this.boards.some(board => board.id === boardId)));
+        
+        missingIds.forEach(boardId => {
+            const known = knownBoards.find(board => board.id === boardId);
+            const name = known ? known.name : boardId === CONFIG.DEFAULT_BOARD_ID ? CONFIG.DEFAULT_BOARD_NAME : 'Recovered board';
+            const board = TodoBoard.fromJSON({ ...(known ? known.toJSON() : {}), id: boardId, name, position: this.boards.length });
+            this.boards.push(board);
+            Logger.warn('Added missing board', { boardId, name });
+        });
+        
+        return missingIds.size;
+    }
+
+    /**
+     * Switches to another board and remembers it for this browser profile
+     * Failing to remember the choice never fails the switch.
+     * @param {string} boardId - The board ID
+     * @returns {Promise<boolean>} True if the board was switched to, false if not found
+     */
+    async setCurrentBoard(boardId) {
+        if (!this.boards.some(board => board.id === boardId)) {
+            Logger.warn('Board not found', { boardId });
+            return false;
+        }
+        
+        this.currentBoardId = boardId;
+        this.columnFilter = null;
+        
+        try {
+            await chrome.storage.local.set({ [CONFIG.CURRENT_BOARD_STORAGE_KEY]: boardId });
+        } catch (error) {
+            Logger.warn('Failed to remember the current board', { boardId, error: error.message });
+        }
+        
+        Logger.info('Switched board', { boardId });
+        return true;
+    }
+
+    /**
+     * Adds a new board with a single column
+     * @param {string} name - The board name
+     * @returns {Promise<TodoBoard>} The created board
+     * @throws {TodoValidationError} When name is invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async addBoard(name) {
+        try {
+            Logger.info('Adding new board', { name });
+            
+            const before = this.captureState();
+            const board = new TodoBoard(name, this.boards.length);
+            this.boards.push(board);
+            this.groups.push(new TodoGroup('To Do', 0, null, board.id));
+            
+            await this.saveBoards();
+            await this.saveGroups();
+            await this.commitHistory('Add board', before);
+            
+            Logger.info('Board added successfully', { id: board.id, name: board.name });
+            return board;
+        } catch (error) {
+            Logger.error('Failed to add board', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to add board', error);
+        }
+    }
+
+    /**
+     * Updates a board's name
+     * @param {string} boardId - The board ID
+     * @param {string} newName - The new name
+     * @returns {Promise<boolean>} True if the board was renamed, false if not found
+     * @throws {TodoValidationError} When new name is invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async renameBoard(boardId, newName) {
+        try {
+            Logger.info('Renaming board', { boardId, newName });
+            
+            const board = this.boards.find(b => b.id === boardId);
+            if (!board) {
+                Logger.warn('Board not found for rename', { boardId });
+                return false;
+            }
+            
+            const before = this.captureState();
+            board.updateName(newName);
+            await this.saveBoards();
+            await this.commitHistory('Rename board', before);
+            
+            Logger.info('Board renamed successfully', { boardId });
+            return true;
+        } catch (error) {
+            Logger.error('Failed to rename board', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to rename board', error);
+        }
+    }
+
+    /**
+     * Removes a board with all its columns and todos
+     * @param {string} boardId - The board ID
+     * @returns {Promise<boolean>} True if the board was removed, false if not found
+     * @throws {TodoValidationError} When it is the only board
+     * @throws {StorageError} When storage operation fails
+     */
+    async removeBoard(boardId) {
+        try {
+            Logger.info('Removing board', { boardId });
+            
+            const board = this.boards.find(b => b.id === boardId);
+            if (!board) {
+                Logger.warn('Board not found for removal', { boardId });
+                return false;
+            }
+            
+            if (this.boards.length === 1) {
+                throw new TodoValidationError('The only board cannot be deleted');
+            }
+            
+            await this.snapshotBeforeChange('Before deleting a board');
+            const before = this.captureState();
+            
+            const groupIds = new Set(this.getGroups(boardId).map(group => group.id));
+            this.todos = this.todos.filter(todo => !groupIds.has(todo.groupId));
+            this.groups = this.groups.filter(group => !groupIds.has(group.id));
+            this.boards = this.boards.filter(b => b !== board);
+            this.getBoards().forEach((b, index) => {
+                if (b.position !== index) {
+                    b.updatePosition(index);
+                }
+            });
+            
+            // Columns and todos are removed first so other pages never see columns without a board
+            await Promise.all([this.saveGroups(), this.saveTodos()]);
+            await this.saveBoards();
+            if (this.ensureCurrentBoard()) {
+                await this.setCurrentBoard(this.currentBoardId);
+            }
+            await this.commitHistory('Delete board', before);
+            
+            Logger.info('Board removed successfully', { boardId });
+            return true;
+        } catch (error) {
+            Logger.error('Failed to remove board', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to remove board', error);
+        }
+    }
+
+    /**
+     * Adds a new group to the current board
+     * @param {string} name - The group name
+     * @param {number} [position] - Optional position, defaults to end
+     * @returns {TodoGroup} The created group
+     * @throws {TodoValidationError} When name is invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async addGroup(name, position = null) {
+        try {
+            Logger.info('Adding new group', { name, boardId: this.currentBoardId });
+            
+            const before = this.captureState();
+            const newPosition = position !== null ? position : this.getGroups().length;
+            const group = new TodoGroup(name, newPosition, null, this.currentBoardId);
+            this.groups.push(group);
+            
+            // Sort groups by position
+            this.groups.sort((a, b) => a.position - b.position);
+            
+            await this.saveGroups();
+            await this.commitHistory('Add column', before);
+            Logger.info('Group added successfully', { id: group.id, name: group.name });
+            
+            return group;
+        } catch (error) {
+            Logger.error('Failed to add group', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to add group', error);
+        }
+    }
+
+    /**
+     * Removes a group and all its todos
+     * @param {string} groupId - The group ID
+     * @returns {boolean} True if group was removed, false if not found
+     * @throws {StorageError} When storage operation fails
+     */
+    async removeGroup(groupId) {
+        try {
+            Logger.info('Removing group', { groupId });
+            
+            const groupIndex = this.groups.findIndex(group => group.id === groupId);
+            if (groupIndex === -1) {
+                Logger.warn('Group not found for removal', { groupId });
+                return false;
+            }
+            const boardId = this.groups[groupIndex].boardId;
+            
+            await this.snapshotBeforeChange('Before deleting a column');
+            const before = this.captureState();
+            
+            // Remove all todos in this group
+            this.todos = this.todos.filter(todo => todo.groupId !== groupId);
+            
+            // Remove the group
+            this.groups.splice(groupIndex, 1);
+            
+            // Reorder the board's remaining groups
+            this.getGroups(boardId).forEach((group, index) => {
+                group.updatePosition(index);
+            });
+            
+            await Promise.all([this.saveGroups(), this.saveTodos()]);
+            await this.commitHistory('Delete column', before);
+            
+            Logger.info('Group removed successfully', { groupId });
+            return true;
+        } catch (error) {
+            Logger.error('Failed to remove group', error);
+            throw new StorageError('Failed to remove group', error);
+        }
+    }
+
+    /**
+     * Updates a group's name
+     * @param {string} groupId - The group ID
+     * @param {string} newName - The new name
+     * @returns {boolean} True if group was updated, false if not found
+     * @throws {TodoValidationError} When new name is invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async updateGroupName(groupId, newName) {
+        try {
+            Logger.info('Updating group name', { groupId, newName });
+            
+            const group = this.groups.find(group => group.id === groupId);
+            if (!group) {
+                Logger.warn('Group not found for name update', { groupId });
+                return false;
+            }
+            
+            const before = this.captureState();
+            group.updateName(newName);
+            await this.saveGroups();
+            await this.commitHistory('Rename column', before);
+            
+            Logger.info('Group name updated successfully', { groupId, newName });
+            return true;
+        } catch (error) {
+            Logger.error('Failed to update group name', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to update group name', error);
+        }
+    }
+
+    /**
+     * Updates how a group's todos are sorted
+     * @param {string} groupId - The group ID
+     * @param {string} sortBy - The sort option
+     * @returns {boolean} True if group was updated, false if not found
+     * @throws {TodoValidationError} When the sort option is invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async updateGroupSort(groupId, sortBy) {
+        try {
+            Logger.info('Updating group sort', { groupId, sortBy });
+            
+            const group = this.groups.find(group => group.id === groupId);
+            if (!group) {
+                Logger.warn('Group not found for sort update', { groupId });
+                return false;
+            }
+            
+            const before = this.captureState();
+            group.updateSortBy(sortBy);
+            await this.saveGroups();
+            await this.commitHistory('Sort column', before);
+            
+            Logger.info('Group sort updated successfully', { groupId, sortBy });
+            return true;
+        } catch (error) {
+            Logger.error('Failed to update group sort', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to update group sort', error);
+        }
+    }
+
+    /**
+     * Updates a group's color, work-in-progress limit or done column flag
+     * @param {string} groupId - The group ID
+     * @param {Object} changes - New values for color, wipLimit and isDoneColumn
+     * @returns {boolean} True if group was updated, false if not found
+     * @throws {TodoValidationError} When a setting is unknown or invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async updateGroupSettings(groupId, changes) {
+        try {
+            Logger.info('Updating group settings', { groupId, changes });
+            
+            const group = this.groups.find(group => group.id === groupId);
+            if (!group) {
+                Logger.warn('Group not found for settings update', { groupId });
+                return false;
+            }
+            
+            const before = this.captureState();
+            group.updateSettings(changes);
+            await this.saveGroups();
+            await this.commitHistory('Change column settings', before);
+            
+            Logger.info('Group settings updated successfully', { groupId });
+            return true;
+        } catch (error) {
+            Logger.error('Failed to update group settings', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to update group settings', error);
+        }
+    }
+
+    /**
+     * Counts the open todos in a group, the work in progress its limit applies to
+     * @param {string} groupId - The group ID
+     * @returns {number} The number of open todos
+     */
+    getWipCount(groupId) {
+        return this.todos.filter(todo => todo.groupId === groupId && !todo.completed).length;
+    }
+
+    /**
+     * Checks whether a group holds more open todos than its work-in-progress limit
+     * @param {string} groupId - The group ID
+     * @returns {boolean} True if the group has a limit and is over it
+     */
+    isOverWipLimit(groupId) {
+        const group = this.groups.find(g => g.id === groupId);
+        return Boolean(group) && group.wipLimit > 0 && this.getWipCount(groupId) > group.wipLimit;
+    }
+
+    /**
+     * Reorders the current board's groups to match the given list of group IDs
+     * @param {string[]} groupIds - Group IDs in the desired order
+     * @returns {boolean} True if groups were reordered, false if the order is invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async reorderGroups(groupIds) {
+        try {
+            Logger.info('Reordering groups', { groupIds });
+            
+            if (!Array.isArray(groupIds)) {
+                Logger.warn('Invalid group order', { groupIds });
+                return false;
+            }
+            
+            const groups = this.getGroups();
+            const ordered = groupIds.map(id => groups.find(group => group.id === id));
+            if (ordered.some(group => !group) || new Set(groupIds).size !== groupIds.length) {
+                Logger.warn('Group order references unknown or duplicate groups', { groupIds });
+                return false;
+            }
+            
+            const before = this.captureState();
+            
+            // Keep any groups missing from the list after the ordered ones
+            const remaining = groups.filter(group => !groupIds.includes(group.id));
+            
+            [...ordered, ...remaining].forEach((group, index) => {
+                if (group.position !== index) {
+                    group.updatePosition(index);
+                }
+            });
+            this.groups.sort((a, b) => a.position - b.position);
+            
+            await this.saveGroups();
+            await this.commitHistory('Reorder columns', before);
+            
+            Logger.info('Groups reordered successfully');
+            return true;
+        } catch (error) {
+            Logger.error('Failed to reorder groups', error);
+            throw new StorageError('Failed to reorder groups', error);
+        }
+    }
+
+    /**
+     * Adds a new todo item to a specific group
+     * @param {string} text - The todo text content
+     * @param {string} groupId - The group ID to add the todo to
+     * @param {Object} [details] - Optional fields to set, as accepted by updateTodo
+     * @returns {TodoItem} The created todo item
+     * @throws {TodoValidationError} When text, groupId or a detail is invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async addTodo(text, groupId, details = {}) {
+        try {
+            Logger.info('Adding new todo', { text: text.substring(0, 50) + '...', groupId });
+            
+            // Validate that the group exists
+            const group = this.groups.find(g => g.id === groupId);
+            if (!group) {
+                throw new TodoValidationError('Group not found');
+            }
+            
+            const before = this.captureState();
+            const position = this.getTodosInManualOrder(groupId).length;
+            const todo = new TodoItem(text, groupId, false, '', null, position);
+            this.validateDetails(todo, details);
+            this.applyDetails(todo, details);
+            this.todos.push(todo);
+            
+            await this.saveTodos();
+            await this.commitHistory('Add todo', before);
+            Logger.info('Todo added successfully', { id: todo.id, groupId });
+            
+            return todo;
+        } catch (error) {
+            Logger.error('Failed to add todo', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to add todo item', error);
+        }
+    }
+
+    /**
+     * Removes a todo item from the list
+     * @param {string} id - The todo item ID
+     * @returns {boolean} True if todo was removed, false if not found
+     * @throws {StorageError} When storage operation fails
+     */
+    async removeTodo(id) {
+        try {
+            Logger.info('Removing todo', { id });
+            
+            const index = this.todos.findIndex(todo => todo.id === id);
+            if (index === -1) {
+                Logger.warn('Todo not found for removal', { id });
+                return false;
+            }
+            
+            const before = this.captureState();
+            this.todos.splice(index, 1);
+            await this.saveTodos();
+            await this.commitHistory('Delete todo', before);
+            
+            Logger.info('Todo removed successfully', { id });
+            return true;
+        } catch (error) {
+            Logger.error('Failed to remove todo', error);
+            throw new StorageError('Failed to remove todo item', error);
+        }
+    }
+
+
+
+    /**
+     * Moves a todo item to a group, optionally at a specific position
+     * Moving into a done column completes the todo, and moving out of one reopens it.
+     * @param {string} todoId - The todo item ID
+     * @param {string} newGroupId - The target group ID
+     * @param {number} [index] - Manual-order position among the target group's other todos, defaults to end
+     * @returns {boolean} True if todo was moved, false if not found
+     * @throws {StorageError} When storage operation fails
+     */
+    async moveTodo(todoId, newGroupId, index = null) {
+        try {
+            Logger.info('Moving todo', { todoId, newGroupId, index });
+            
+            // Validate that the new group exists
+            const newGroup = this.groups.find(g => g.id === newGroupId);
+            if (!newGroup) {
+                Logger.warn('Target group not found', { newGroupId });
+                return false;
+            }
+            
+            const todo = this.todos.find(todo => todo.id === todoId);
+            if (!todo) {
+                Logger.warn('Todo not found for move', { todoId });
+                return false;
+            }
+            
+            const oldGroupId = todo.groupId;
+            const targetTodos = this.getTodosInManualOrder(newGroupId).filter(t => t.id !== todoId);
+            const insertIndex = index === null
+                ? targetTodos.length
+                : Math.max(0, Math.min(Number(index) || 0, targetTodos.length));
+            
+            // Nothing to do if the todo would land where it already is
+            if (oldGroupId === newGroupId && this.getTodosInManualOrder(newGroupId).indexOf(todo) === insertIndex) {
+                Logger.info('Todo already at target position', { todoId, newGroupId });
+                return true; // Consider this a success
+            }
+            
+            const before = this.captureState();
+            this.placeTodo(todo, newGroup, insertIndex);
+            await this.saveTodos();
+            await this.commitHistory('Move todo', before);
+            
+            Logger.info('Todo moved successfully', { todoId, oldGroupId, newGroupId, index: insertIndex });
+            return true;
+        } catch (error) {
+            Logger.error('Failed to move todo', error);
+            throw new StorageError('Failed to move todo to new group', error);
+        }
+    }
+
+    /**
+     * Puts a todo into a group at a manual-order position, in memory only
+     * Callers save and record history, so a move can share an entry with other changes.
+     * @param {TodoItem} todo - The todo item
+     * @param {TodoGroup} newGroup - The target group
+     * @param {number} [index] - Position among the target group's other todos, defaults to end
+     */
+    placeTodo(todo, newGroup, index = null) {
+        const oldGroupId = todo.groupId;
+        const targetTodos = this.getTodosInManualOrder(newGroup.id).filter(t => t.id !== todo.id);
+        
+        // Update the todo's group and insert it at the requested position
+        if (oldGroupId !== newGroup.id) {
+            const oldGroup = this.groups.find(g => g.id === oldGroupId);
+            todo.logActivity('moved', { from: oldGroup ? oldGroup.name : '', to: newGroup.name });
+            this.applyDoneColumn(todo, oldGroup, newGroup);
+        }
+        todo.groupId = newGroup.id;
+        todo.updatedAt = new Date().toISOString();
+        targetTodos.splice(index === null ? targetTodos.length : index, 0, todo);
+        this.renumberTodos(targetTodos);
+        
+        if (oldGroupId !== newGroup.id) {
+            this.renumberTodos(this.getTodosInManualOrder(oldGroupId));
+        }
+    }
+
+    /**
+     * Completes a todo entering a done column, or reopens one leaving a done column
+     * Call it before changing the todo's groupId: the next occurrence of a
+     * recurring todo is created in the column the todo is in.
+     * @param {TodoItem} todo - The todo item
+     * @param {TodoGroup|null} oldGroup - The column the todo leaves, if any
+     * @param {TodoGroup} newGroup - The column the todo enters
+     */
+    applyDoneColumn(todo, oldGroup, newGroup) {
+        if (newGroup.isDoneColumn && !todo.completed) {
+            todo.toggleCompletion();
+            if (todo.recurrence) {
+                this.createNextOccurrence(todo);
+            }
+        } else if (!newGroup.isDoneColumn && oldGroup && oldGroup.isDoneColumn && todo.completed) {
+            todo.toggleCompletion();
+        }
+    }
+
+    /**
+     * Renumbers todo positions to match their order in the given list
+     * @param {TodoItem[]} todos - The todos of a single group in display order
+     */
+    renumberTodos(todos) {
+        todos.forEach((todo, index) => {
+            if (todo.position !== index) {
+                todo.updatePosition(index);
+            }
+        });
+    }
+
+    /**
+     * Updates a todo item's text, description and optional details
+     * @param {string} id - The todo item ID
+     * @param {string} newText - The new text content
+     * @param {string} newDescription - The new description
+     * @param {Object} [details] - Optional fields to update; omitted keys are left unchanged
+     * @param {string|null} [details.dueDate] - The due date as YYYY-MM-DD, or null to clear it
+     * @param {string} [details.priority] - The priority level
+     * @param {string[]} [details.tags] - Tags such as #frontend or @alice
+     * @param {Object[]} [details.subtasks] - Ordered subtasks with text and done
+     * @param {Object|null} [details.recurrence] - Recurrence rule, or null for none
+     * @param {string|null} [details.reminderAt] - Reminder time as an ISO string, or null for none
+     * @param {Object|null} [details.source] - Web page the todo came from, with url and title
+     * @param {string} [details.groupId] - Column to move the todo to, on any board; it goes to the end
+     * @returns {boolean} True if todo was updated, false if not found
+     * @throws {TodoValidationError} When new text or a detail is invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async updateTodo(id, newText, newDescription, details = {}) {
+        try {
+            Logger.info('Updating todo', { id, newText: newText.substring(0, 50) + '...' });
+            
+            const todo = this.todos.find(todo => todo.id === id);
+            if (!todo) {
+                Logger.warn('Todo not found for update', { id });
+                return false;
+            }
+            
+            // Validate everything up front so a bad detail leaves the todo untouched
+            todo.validateText(newText);
+            this.validateDetails(todo, details);
+            const newGroup = details.groupId ? this.groups.find(g => g.id === details.groupId) : null;
+            if (details.groupId && !newGroup) {
+                throw new TodoValidationError('The chosen column no longer exists');
+            }
+            
+            const wereSubtasksDone = todo.areSubtasksDone();
+            
+            // The edit and any move share one history entry
+            const before = this.captureState();
+            todo.updateText(newText);
+            todo.updateDescription(newDescription);
+            this.applyDetails(todo, details);
+            if (newGroup && newGroup.id !== todo.groupId) {
+                this.placeTodo(todo, newGroup);
+            }
+            if (!wereSubtasksDone) {
+                this.completeIfSubtasksDone(todo);
+            }
+            await this.saveTodos();
+            await this.commitHistory('Edit todo', before);
+            
+            Logger.info('Todo updated successfully', { id });
+            return true;
+        } catch (error) {
+            Logger.error('Failed to update todo', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to update todo', error);
+        }
+    }
+
+    /**
+     * Validates optional todo details without changing the todo
+     * @param {TodoItem} todo - The todo the details are for
+     * @param {Object} details - Optional fields, see updateTodo
+     * @throws {TodoValidationError} When a detail is invalid
+     */
+    validateDetails(todo, details) {
+        if ('dueDate' in details) {
+            todo.validateDueDate(details.dueDate);
+        }
+        if ('priority' in details) {
+            todo.validatePriority(details.priority);
+        }
+        if ('tags' in details) {
+            todo.validateTags(details.tags);
+        }
+        if ('subtasks' in details) {
+            todo.validateSubtasks(details.subtasks);
+        }
+        if ('recurrence' in details) {
+            todo.validateRecurrence(details.recurrence);
+        }
+        if ('reminderAt' in details) {
+            todo.validateReminder(details.reminderAt);
+        }
+        if ('source' in details) {
+            todo.validateSource(details.source);
+        }
+    }
+
+    /**
+     * Applies optional todo details; call validateDetails first
+     * @param {TodoItem} todo - The todo to update
+     * @param {Object} details - Optional fields, see updateTodo
+     */
+    applyDetails(todo, details) {
+        if ('dueDate' in details) {
+            todo.updateDueDate(details.dueDate);
+        }
+        if ('priority' in details) {
+            todo.updatePriority(details.priority);
+        }
+        if ('tags' in details) {
+            todo.updateTags(details.tags);
+        }
+        if ('subtasks' in details) {
+            todo.updateSubtasks(details.subtasks);
+        }
+        if ('recurrence' in details) {
+            todo.updateRecurrence(details.recurrence);
+        }
+        if ('reminderAt' in details) {
+            todo.updateReminder(details.reminderAt);
+        }
+        if ('source' in details) {
+            todo.updateSource(details.source);
+        }
+    }
+
+    /**
+     * Completes a todo once all its subtasks are done, when the
+     * autoCompleteParent setting is on
+     * Only the todo in memory changes, so the caller's save and history
+     * entry cover both the edit and the completion.
+     * @param {TodoItem} todo - The todo item
+     * @returns {boolean} True if the todo was completed
+     */
+    completeIfSubtasksDone(todo) {
+        if (!this.settings.autoCompleteParent || todo.completed || !todo.areSubtasksDone()) {
+            return false;
+        }
+        
+        Logger.info('All subtasks done, completing todo', { id: todo.id });
+        todo.toggleCompletion();
+        if (todo.recurrence) {
+            this.createNextOccurrence(todo);
+        }
+        return true;
+    }
+
+    /**
+     * Toggles the completion status of a todo item
+     * @param {string} id - The todo item ID
+     * @returns {boolean} True if todo was updated, false if not found
+     * @throws {StorageError} When storage operation fails
+     */
+    async toggleTodo(id) {
+        try {
+            Logger.info('Toggling todo completion', { id });
+            
+            const todo = this.todos.find(todo => todo.id === id);
+            if (!todo) {
+                Logger.warn('Todo not found for toggle', { id });
+                return false;
+            }
+            
+            const before = this.captureState();
+            todo.toggleCompletion();
+            
+            const next = todo.completed && todo.recurrence ? this.createNextOccurrence(todo) : null;
+            
+            await this.saveTodos();
+            await this.commitHistory(todo.completed ? 'Complete todo' : 'Reopen todo', before);
+            
+            Logger.info('Todo completion toggled successfully', { id, completed: todo.completed, nextId: next && next.id });
+            return true;
+        } catch (error) {
+            Logger.error('Failed to toggle todo', error);
+            throw new StorageError('Failed to toggle todo completion', error);
+        }
+    }
+
+    /**
+     * Creates the next open copy of a recurring todo that was just completed
+     * The recurrence rule moves to the copy so the completed todo stays in
+     * the column as history and reopening it does not repeat it twice.
+     * @param {TodoItem} todo - The completed recurring todo
+     * @returns {TodoItem} The new todo
+     */
+    createNextOccurrence(todo) {
+        const position = this.getTodosInManualOrder(todo.groupId).length;
+        const next = new TodoItem(todo.text, todo.groupId, false, todo.description, null, position);
+        
+        next.dueDate = todo.getNextDueDate();
+        if (todo.reminderAt) {
+            // Keep the reminder the same number of days before the due date
+            const from = TodoItem.parseDateKey(todo.dueDate || TodoItem.getDateKey(new Date()));
+            const days = Math.round((TodoItem.parseDateKey(next.dueDate) - from) / 86400000);
+            const reminder = new Date(todo.reminderAt);
+            reminder.setDate(reminder.getDate() + days);
+            next.reminderAt = reminder.toISOString();
+        }
+        next.priority = todo.priority;
+        next.tags = [...todo.tags];
+        next.source = todo.source ? { ...todo.source } : null;
+        next.updateSubtasks(todo.subtasks.map(subtask => ({ text: subtask.text, done: false })));
+        next.updateRecurrence(todo.recurrence);
+        todo.updateRecurrence(null);
+        
+        this.todos.push(next);
+        Logger.info('Created next occurrence of recurring todo', { id: todo.id, nextId: next.id, dueDate: next.dueDate });
+        return next;
+    }
+
+    /**
+     * Moves the current board's completed todo items to the archive
+     * @returns {number} The number of todos archived
+     * @throws {StorageError} When storage operation fails
+     */
+    async clearCompleted() {
+        try {
+            Logger.info('Archiving completed todos');
+            
+            const before = this.captureState();
+            const completed = this.getBoardTodos().filter(todo => todo.completed);
+            this.moveToArchive(completed);
+            
+            // The archive is written first so a failure cannot lose the todos
+            await this.saveArchive();
+            await this.saveTodos();
+            await this.commitHistory('Archive completed', before);
+            
+            Logger.info('Completed todos archived successfully', { archivedCount: completed.length });
+            return completed.length;
+        } catch (error) {
+            Logger.error('Failed to archive completed todos', error);
+            throw new StorageError('Failed to archive completed todos', error);
+        }
+    }
+
+    /**
+     * Moves todos off the board into the archive
+     * @param {TodoItem[]} todos - The todos to archive
+     */
+    moveToArchive(todos) {
+        const ids = new Set(todos.map(todo => todo.id));
+        
+        todos.forEach(todo => {
+            const group = this.groups.find(g => g.id === todo.groupId);
+            this.archive.push(new ArchivedTodo(todo, group ? group.name : ''));
+        });
+        this.todos = this.todos.filter(todo => !ids.has(todo.id));
+    }
+
+    /**
+     * Applies the archive settings: archives todos completed more than
+     * autoArchiveDays ago and deletes archived todos older than archiveRetentionDays
+     * Both are recorded in history, and a snapshot is taken before archived todos are deleted.
+     * @param {Date} [now=new Date()] - The current time
+     * @returns {Promise<Object>} The number of todos archived and deleted
+     * @throws {StorageError} When storage operation fails
+     */
+    async applyArchivePolicy(now = new Date()) {
+        try {
+            const { autoArchiveDays, archiveRetentionDays } = this.settings;
+            const dayMs = 24 * 60 * 60 * 1000;
+            const expired = [];
+            let stamped = false;
+            const isKept = entry => archiveRetentionDays === 0 || now - new Date(entry.archivedAt) < archiveRetentionDays * dayMs;
+            
+            if (!this.archive.every(isKept)) {
+                await this.snapshotBeforeChange('Before deleting old archived todos');
+            }
+            const before = this.captureState();
+            
+            if (autoArchiveDays > 0) {
+                this.todos.filter(todo => todo.completed).forEach(todo => {
+                    if (!todo.completedAt) {
+                        // Completed before completion times were recorded, so start counting now
+                        todo.completedAt = now.toISOString();
+                        stamped = true;
+                    } else if (now - new Date(todo.completedAt) >= autoArchiveDays * dayMs) {
+                        expired.push(todo);
+                    }
+                });
+            }
+            
+            const archiveSize = this.archive.length;
+            this.moveToArchive(expired);
+            this.archive = this.archive.filter(isKept);
+            const deleted = archiveSize + expired.length - this.archive.length;
+            
+            if (expired.length > 0 || deleted > 0) {
+                await this.saveArchive();
+            }
+            if (expired.length > 0 || stamped) {
+                await this.saveTodos();
+            }
+            if (expired.length > 0 || deleted > 0) {
+                await this.commitHistory('Apply archive settings', before);
+            }
+            
+            Logger.info('Archive policy applied', { archived: expired.length, deleted });
+            return { archived: expired.length, deleted };
+        } catch (error) {
+            Logger.error('Failed to apply archive policy', error);
+            throw new StorageError('Failed to apply archive policy', error);
+        }
+    }
+
+    /**
+     * Moves an archived todo back onto the board as an open todo, or as a
+     * completed one when the column is a done column
+     * @param {string} id - The archived todo ID
+     * @param {string} groupId - The column to restore it to
+     * @returns {Promise<TodoItem|null>} The restored todo, or null if it is not archived
+     * @throws {TodoValidationError} When the column does not exist
+     * @throws {StorageError} When storage operation fails
+     */
+    async restoreArchivedTodo(id, groupId) {
+        try {
+            Logger.info('Restoring archived todo', { id, groupId });
+            
+            const entry = this.archive.find(e => e.id === id);
+            if (!entry) {
+                Logger.warn('Archived todo not found for restore', { id });
+                return null;
+            }
+            
+            const group = this.groups.find(g => g.id === groupId);
+            if (!group) {
+                throw new TodoValidationError('Choose a column to restore the todo to');
+            }
+            
+            const before = this.captureState();
+            const todo = entry.todo;
+            // The archived column may be gone, so any next occurrence goes to the new one
+            todo.groupId = groupId;
+            todo.updatePosition(this.getTodosInManualOrder(groupId).length);
+            if (todo.completed && !group.isDoneColumn) {
+                todo.toggleCompletion();
+            } else {
+                this.applyDoneColumn(todo, null, group);
+            }
+            
+            this.todos.push(todo);
+            this.archive = this.archive.filter(e => e !== entry);
+            
+            await this.saveTodos();
+            await this.saveArchive();
+            await this.commitHistory('Restore todo', before);
+            
+            Logger.info('Archived todo restored successfully', { id, groupId });
+            return todo;
+        } catch (error) {
+            Logger.error('Failed to restore archived todo', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to restore archived todo', error);
+        }
+    }
+
+    /**
+     * Finds archived todos matching a search query, most recently completed first
+     * Matches the text, description, tags and original column name.
+     * @param {string} [query=''] - The search text
+     * @returns {ArchivedTodo[]} The matching archived todos
+     */
+    searchArchive(query = '') {
+        const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+        
+        return this.archive
+            .filter(entry => {
+                const haystack = [entry.todo.text, entry.todo.description, entry.groupName, ...entry.todo.tags].join(' ').toLowerCase();
+                return terms.every(term => haystack.includes(term));
+            })
+            .sort((a, b) => b.getCompletedAt().localeCompare(a.getCompletedAt()));
+    }
+
+    /**
+     * Captures the serialized state of every board, group, todo and archived todo, keyed by ID
+     * @returns {Object} Maps of board, group, todo and archived todo JSON strings
+     */
+    captureState() {
+        return {
+            boards: new Map(this.boards.map(board => [board.id, JSON.stringify(board.toJSON())])),
+            groups: new Map(this.groups.map(group => [group.id, JSON.stringify(group.toJSON())])),
+            todos: new Map(this.todos.map(todo => [todo.id, JSON.stringify(todo.toJSON())])),
+            archive: new Map(this.archive.map(entry => [entry.id, JSON.stringify(entry.toJSON())]))
+        };
+    }
+
+    /**
+     * Lists records that differ between two captured states
+     * @param {Map<string, string>} before - Serialized records before the change
+     * @param {Map<string, string>} after - Serialized records after the change
+     * @returns {Object[]} Changes with id, before and after (null when absent)
+     */
+    diffRecords(before, after) {
+        const changes = [];
+        const ids = new Set([...before.keys(), ...after.keys()]);
+        
+        ids.forEach(id => {
+            const beforeJSON = before.get(id) || null;
+            const afterJSON = after.get(id) || null;
+            if (beforeJSON !== afterJSON) {
+                changes.push({
+                    id,
+                    before: beforeJSON && JSON.parse(beforeJSON),
+                    after: afterJSON && JSON.parse(afterJSON)
+                });
+            }
+        });
+        
+        return changes;
+    }
+
+    /**
+     * Records a completed mutation on the undo stack
+     * History is only kept once initialized, so setup such as the default group
+     * cannot be undone. Failing to persist history never fails the mutation.
+     * @param {string} label - Short description of the action
+     * @param {Object} before - The state captured before the mutation
+     * @returns {Promise<void>}
+     */
+    async commitHistory(label, before) {
+        if (!this.isInitialized) {
+            return;
+        }
+        
+        const after = this.captureState();
+        const entry = {
+            label,
+            timestamp: new Date().toISOString(),
+            boards: this.diffRecords(before.boards, after.boards),
+            groups: this.diffRecords(before.groups, after.groups),
+            todos: this.diffRecords(before.todos, after.todos),
+            archive: this.diffRecords(before.archive, after.archive)
+        };
+        
+        if (entry.boards.length === 0 && entry.groups.length === 0 && entry.todos.length === 0 && entry.archive.length === 0) {
+            return;
+        }
+        
+        // Other tabs share the stored history, so build on their latest entries
+        await this.loadHistory();
+        this.undoStack.push(entry);
+        if (this.undoStack.length > CONFIG.HISTORY_LIMIT) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        
+        try {
+            await this.saveHistory();
+        } catch (error) {
+            Logger.warn('Failed to persist undo history', { error: error.message });
+        }
+    }
+
+    /**
+     * Checks that the records an entry changed still look the way the entry left them
+     * Another tab or device may have changed them since, and applying the
+     * entry would then overwrite that change.
+     * @param {Object} entry - The history entry
+     * @param {string} side - The side about to be applied, 'before' to undo or 'after' to redo
+     * @returns {boolean} True if the entry can be applied safely
+     */
+    isHistoryEntryCurrent(entry, side) {
+        const expectedSide = side === 'before' ? 'after' : 'before';
+        // Applying an entry stamps a new updatedAt, so that alone is not a change
+        const comparable = data => JSON.stringify(data ? { ...data, updatedAt: undefined } : null);
+        const matches = (records, changes) => changes.every(change => {
+            const record = records.find(r => r.id === change.id);
+            return comparable(record ? record.toJSON() : null) === comparable(change[expectedSide]);
+        });
+        
+        return matches(this.boards, entry.boards || [])
+            && matches(this.groups, entry.groups)
+            && matches(this.todos, entry.todos)
+            && matches(this.archive, entry.archive || []);
+    }
+
+    /**
+     * Applies one side of a history entry to the board
+     * @param {Object} entry - The history entry
+     * @param {string} side - 'before' to undo, 'after' to redo
+     */
+    applyHistoryEntry(entry, side) {
+        const now = new Date().toISOString();
+        const restore = (records, changes, RecordClass) => {
+            const changedIds = new Set(changes.map(change => change.id));
+            const kept = records.filter(record => !changedIds.has(record.id));
+            
+            changes.forEach(change => {
+                const data = change[side];
+                if (data) {
+                    const record = RecordClass.fromJSON(data);
+                    // Restored records are the newest version, so other tabs and devices take them
+                    if ('updatedAt' in record) {
+                        record.updatedAt = now;
+                    }
+                    kept.push(record);
+                }
+            });
+            
+            return kept;
+        };
+        
+        // Entries recorded before boards or the archive existed have no changes for them
+        this.boards = restore(this.boards, entry.boards || [], TodoBoard);
+        this.groups = restore(this.groups, entry.groups, TodoGroup).sort((a, b) => a.position - b.position);
+        this.todos = restore(this.todos, entry.todos, TodoItem);
+        this.archive = restore(this.archive, entry.archive || [], ArchivedTodo);
+        this.ensureCurrentBoard();
+        
+        // An older entry can bring back a todo that was archived automatically since
+        const boardIds = new Set(this.todos.map(todo => todo.id));
+        this.archive = this.archive.filter(archived => !boardIds.has(archived.id));
+    }
+
+    /**
+     * Reverts the most recent change
+     * @returns {Promise<string|null>} The label of the undone action, or null if there was none
+     * @throws {StorageError} When storage operation fails
+     */
+    async undo() {
+        return this.stepHistory('before');
+    }
+
+    /**
+     * Re-applies the most recently undone change
+     * @returns {Promise<string|null>} The label of the redone action, or null if there was none
+     * @throws {StorageError} When storage operation fails
+     */
+    async redo() {
+        return this.stepHistory('after');
+    }
+
+    /**
+     * Moves one entry between the history stacks and applies it
+     * An entry whose records were changed since, for example in another tab,
+     * is dropped instead of applied so it cannot overwrite that change.
+     * @param {string} side - Which side of the entry to apply, 'before' to undo or 'after' to redo
+     * @returns {Promise<string|null>} The entry label, or null if the stack was empty
+     * @throws {TodoValidationError} When the entry is out of date and was dropped
+     * @throws {StorageError} When storage operation fails
+     */
+    async stepHistory(side) {
+        const action = side === 'before' ? 'undo' : 'redo';
+        
+        try {
+            await this.loadHistory();
+            const [fromStack, toStack] = side === 'before'
+                ? [this.undoStack, this.redoStack]
+                : [this.redoStack, this.undoStack];
+            
+            const entry = fromStack.pop();
+            if (!entry) {
+                Logger.info('Nothing to ' + action);
+                return null;
+            }
+            
+            if (!this.isHistoryEntryCurrent(entry, side)) {
+                Logger.warn('History entry is out of date, dropping it', { label: entry.label, side });
+                await this.saveHistory();
+                throw new TodoValidationError(`Could not ${action} "${entry.label}" because it was changed since, possibly in another tab`);
+            }
+            
+            Logger.info(side === 'before' ? 'Undoing change' : 'Redoing change', { label: entry.label });
+            
+            this.applyHistoryEntry(entry, side);
+            toStack.push(entry);
+            
+            await Promise.all([this.saveBoards(), this.saveGroups(), this.saveTodos(), this.saveArchive(), this.saveHistory()]);
+            return entry.label;
+        } catch (error) {
+            Logger.error('Failed to apply history entry', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to undo or redo change', error);
+        }
+    }
+
+    /**
+     * Checks whether there is a change to undo
+     * @returns {boolean} True if undo is possible
+     */
+    canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    /**
+     * Checks whether there is a change to redo
+     * @returns {boolean} True if redo is possible
+     */
+    canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Gets every tag in use with its todo count and color
+     * @returns {Object[]} Tags sorted by name, each with tag, count and color
+     */
+    getAllTags() {
+        const counts = new Map();
+        this.todos.forEach(todo => {
+            todo.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+        });
+        
+        return [...counts.keys()]
+            .sort((a, b) => a.localeCompare(b))
+            .map(tag => ({ tag, count: counts.get(tag), color: this.getTagColor(tag) }));
+    }
+
+    /**
+     * Gets the display color for a tag, falling back to a stable palette color
+     * @param {string} tag - The tag
+     * @returns {string} The color as #rrggbb
+     */
+    getTagColor(tag) {
+        if (this.tagColors[tag]) {
+            return this.tagColors[tag];
+        }
+        
+        let hash = 0;
+        for (const char of tag) {
+            hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+        }
+        return CONFIG.TAG_COLORS[hash % CONFIG.TAG_COLORS.length];
+    }
+
+    /**
+     * Sets the display color for a tag
+     * @param {string} tag - The tag
+     * @param {string} color - The color as #rrggbb
+     * @throws {TodoValidationError} When the color is invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async setTagColor(tag, color) {
+        try {
+            Logger.info('Setting tag color', { tag, color });
+            
+            if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+                throw new TodoValidationError('Tag color must be a hex color like #2d7d7d');
+            }
+            
+            this.tagColors[tag] = color.toLowerCase();
+            await this.saveTags();
+        } catch (error) {
+            Logger.error('Failed to set tag color', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to set tag color', error);
+        }
+    }
+
+    /**
+     * Renames a tag on every todo, merging it into the new tag if that exists
+     * @param {string} oldTag - The tag to rename
+     * @param {string} newTag - The new tag
+     * @returns {Promise<number>} The number of todos changed
+     * @throws {TodoValidationError} When the new tag is invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async renameTag(oldTag, newTag) {
+        try {
+            Logger.info('Renaming tag', { oldTag, newTag });
+            
+            const normalized = String(newTag || '').trim().toLowerCase();
+            TodoItem.validateTag(normalized);
+            if (normalized === oldTag) {
+                return 0;
+            }
+            
+            const before = this.captureState();
+            const affected = this.todos.filter(todo => todo.tags.includes(oldTag));
+            affected.forEach(todo => {
+                todo.updateTags(todo.tags.map(tag => (tag === oldTag ? normalized : tag)));
+            });
+            
+            if (this.tagColors[oldTag] && !this.tagColors[normalized]) {
+                this.tagColors[normalized] = this.tagColors[oldTag];
+            }
+            delete this.tagColors[oldTag];
+            if (this.tagFilter === oldTag) {
+                this.tagFilter = normalized;
+            }
+            
+            await Promise.all([this.saveTodos(), this.saveTags()]);
+            await this.commitHistory('Rename tag', before);
+            
+            Logger.info('Tag renamed successfully', { oldTag, newTag: normalized, count: affected.length });
+            return affected.length;
+        } catch (error) {
+            Logger.error('Failed to rename tag', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to rename tag', error);
+        }
+    }
+
+    /**
+     * Removes a tag from every todo
+     * @param {string} tag - The tag to delete
+     * @returns {Promise<number>} The number of todos changed
+     * @throws {StorageError} When storage operation fails
+     */
+    async deleteTag(tag) {
+        try {
+            Logger.info('Deleting tag', { tag });
+            
+            const affected = this.todos.filter(todo => todo.tags.includes(tag));
+            if (affected.length > 0) {
+                await this.snapshotBeforeChange('Before deleting a tag');
+            }
+            const before = this.captureState();
+            affected.forEach(todo => {
+                todo.updateTags(todo.tags.filter(t => t !== tag));
+            });
+            
+            delete this.tagColors[tag];
+            if (this.tagFilter === tag) {
+                this.tagFilter = null;
+            }
+            
+            await Promise.all([this.saveTodos(), this.saveTags()]);
+            await this.commitHistory('Delete tag', before);
+            
+            Logger.info('Tag deleted successfully', { tag, count: affected.length });
+            return affected.length;
+        } catch (error) {
+            Logger.error('Failed to delete tag', error);
+            throw new StorageError('Failed to delete tag', error);
+        }
+    }
+
+    /**
+     * Exports a board, or every board, as a versioned plain object
+     * @param {string|null} [boardId] - The board to export, defaults to the current one; null exports every board
+     * @returns {Object} The export data, ready for JSON.stringify
+     */
+    exportBoard(boardId = this.currentBoardId) {
+        const boards = this.getBoards().filter(board => boardId === null || board.id === boardId);
+        const groups = boardId === null
+            ? [...this.groups].sort((a, b) => a.position - b.position)
+            : this.getGroups(boardId);
+        const groupIds = new Set(groups.map(group => group.id));
+        
+        return {
+            format: CONFIG.EXPORT_FORMAT,
+            version: CONFIG.EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            boards: boards.map(board => board.toJSON()),
+            groups: groups.map(group => group.toJSON()),
+            todos: this.todos.filter(todo => groupIds.has(todo.groupId)).map(todo => todo.toJSON())
+        };
+    }
+
+    /**
+     * Validates export data and deserializes its boards, groups and todos
+     * Exports made before boards existed have no boards.
+     * @param {Object} data - The parsed export data
+     * @returns {Object} The boards, groups and todos as model instances
+     * @throws {TodoValidationError} When the data is not a valid board export
+     */
+    parseBoardExport(data) {
+        if (!data || typeof data !== 'object' || data.format !== CONFIG.EXPORT_FORMAT) {
+            throw new TodoValidationError('File is not a Todo Tab board export');
+        }
+        
+        if (!Number.isInteger(data.version) || data.version > CONFIG.EXPORT_VERSION) {
+            throw new TodoValidationError(`Unsupported board export version: ${data.version}`);
+        }
+        
+        if (!Array.isArray(data.groups) || !Array.isArray(data.todos)) {
+            throw new TodoValidationError('Board export must contain groups and todos');
+        }
+        
+        const boards = (Array.isArray(data.boards) ? data.boards : []).map((boardData, index) => {
+            try {
+                return TodoBoard.fromJSON(boardData);
+            } catch (error) {
+                throw new TodoValidationError(`Invalid board at index ${index}: ${error.message}`);
+            }
+        });
+        
+        const groups = data.groups.map((groupData, index) => {
+            try {
+                return TodoGroup.fromJSON(groupData);
+            } catch (error) {
+                throw new TodoValidationError(`Invalid column at index ${index}: ${error.message}`);
+            }
+        });
+        
+        const groupIds = new Set(groups.map(group => group.id));
+        if (groupIds.size !== groups.length) {
+            throw new TodoValidationError('Board export contains duplicate column IDs');
+        }
+        
+        const todos = data.todos.map((todoData, index) => {
+            let todo;
+            try {
+                todo = TodoItem.fromJSON(todoData);
+            } catch (error) {
+                throw new TodoValidationError(`Invalid todo at index ${index}: ${error.message}`);
+            }
+            if (!groupIds.has(todo.groupId)) {
+                throw new TodoValidationError(`Todo at index ${index} belongs to a missing column`);
+            }
+            return todo;
+        });
+        
+        return { boards, groups, todos };
+    }
+
+    /**
+     * Imports a board export into the current board, replacing its columns or merging into them
+     * Imported columns are added after the existing ones, and any column or
+     * todo whose ID is still in use, including on another board, gets a new ID.
+     * @param {Object} data - The parsed export data
+     * @param {string} [mode='merge'] - 'replace' or 'merge'
+     * @returns {Promise<Object>} Counts of imported groups and todos
+     * @throws {TodoValidationError} When the data is not a valid board export
+     * @throws {StorageError} When storage operation fails
+     */
+    async importBoard(data, mode = 'merge') {
+        try {
+            Logger.info('Importing board', { mode });
+            
+            if (!['replace', 'merge'].includes(mode)) {
+                throw new TodoValidationError(`Invalid import mode: ${mode}`);
+            }
+            
+            const imported = this.parseBoardExport(data);
+            if (mode === 'replace') {
+                await this.snapshotBeforeChange('Before replacing the board');
+            }
+            const before = this.captureState();
+            
+            if (mode === 'replace') {
+                const groupIds = new Set(this.getGroups().map(group => group.id));
+                this.todos = this.todos.filter(todo => !groupIds.has(todo.groupId));
+                this.groups = this.groups.filter(group => !groupIds.has(group.id));
+            }
+            
+            const groupIdMap = new Map();
+            const offset = this.getGroups().length;
+            
+            imported.groups
+                .sort((a, b) => a.position - b.position)
+                .forEach((group, index) => {
+                    const taken = this.groups.some(existing => existing.id === group.id);
+                    const merged = TodoGroup.fromJSON({
+                        ...group.toJSON(),
+                        id: taken ? null : group.id,
+                        position: offset + index,
+                        boardId: this.currentBoardId
+                    });
+                    groupIdMap.set(group.id, merged.id);
+                    this.groups.push(merged);
+                });
+            
+            imported.todos.forEach(todo => {
+                const taken = this.todos.some(existing => existing.id === todo.id);
+                this.todos.push(TodoItem.fromJSON({
+                    ...todo.toJSON(),
+                    id: taken ? null : todo.id,
+                    groupId: groupIdMap.get(todo.groupId)
+                }));
+            });
+            
+            await Promise.all([this.saveGroups(), this.saveTodos()]);
+            await this.commitHistory('Import board', before);
+            
+            const counts = { groups: imported.groups.length, todos: imported.todos.length };
+            Logger.info('Board imported successfully', { mode, ...counts });
+            return counts;
+        } catch (error) {
+            Logger.error('Failed to import board', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to import board', error);
+        }
+    }
+
+    /**
+     * Loads the stored snapshots, newest first
+     * Snapshots are only read when needed rather than kept in memory.
+     * @returns {Promise<Object[]>} Snapshots with an id, createdAt, reason and a board export
+     * @throws {StorageError} When storage operation fails
+     */
+    async loadSnapshots() {
+        try {
+            const result = await chrome.storage.local.get(CONFIG.SNAPSHOTS_STORAGE_KEY);
+            const snapshots = result[CONFIG.SNAPSHOTS_STORAGE_KEY];
+            return Array.isArray(snapshots) ? snapshots : [];
+        } catch (error) {
+            Logger.error('Failed to load snapshots from storage', error);
+            throw new StorageError('Failed to load snapshots from storage', error);
+        }
+    }
+
+    /**
+     * Saves a snapshot of every board to local storage
+     * Only the newest snapshots are kept, as many as the snapshotRetention setting allows.
+     * Nothing is saved when the boards and archive match the latest snapshot,
+     * so repeated changes cannot push older snapshots out with copies.
+     * @param {string} reason - Why the snapshot was taken, shown when restoring
+     * @returns {Promise<Object>} The new snapshot, or the latest one when nothing changed
+     * @throws {StorageError} When storage operation fails
+     */
+    async createSnapshot(reason) {
+        try {
+            const snapshots = await this.loadSnapshots();
+            const snapshot = {
+                id: 'snapshot_' + Date.now().toString(36) + Math.random().toString(36).substr(2),
+                createdAt: new Date().toISOString(),
+                reason,
+                board: this.exportBoard(null),
+                archive: this.archive.map(entry => entry.toJSON())
+            };
+            
+            if (snapshots.length > 0 && this.getSnapshotContents(snapshots[0]) === this.getSnapshotContents(snapshot)) {
+                Logger.info('Snapshot skipped, nothing changed since the latest one', { reason });
+                return snapshots[0];
+            }
+            
+            snapshots.unshift(snapshot);
+            await chrome.storage.local.set({
+                [CONFIG.SNAPSHOTS_STORAGE_KEY]: snapshots.slice(0, this.settings.snapshotRetention)
+            });
+            
+            Logger.info('Snapshot taken', { reason, groups: snapshot.board.groups.length, todos: snapshot.board.todos.length });
+            return snapshot;
+        } catch (error) {
+            Logger.error('Failed to take snapshot', error);
+            throw new StorageError('Failed to take snapshot', error);
+        }
+    }
+
+    /**
+     * Serializes what a snapshot holds, leaving out when it was taken
+     * @param {Object} snapshot - A snapshot with a board export and an optional archive
+     * @returns {string} The contents as JSON, for comparing snapshots
+     */
+    getSnapshotContents(snapshot) {
+        const { boards = [], groups, todos } = snapshot.board;
+        return JSON.stringify([boards, groups, todos, snapshot.archive || []]);
+    }
+
+    /**
+     * Takes a snapshot before a change that removes data
+     * Like history, this only happens once initialized, and failing to take
+     * the snapshot never fails the change itself.
+     * @param {string} reason - Why the snapshot was taken
+     * @returns {Promise<void>}
+     */
+    async snapshotBeforeChange(reason) {
+        if (!this.isInitialized) {
+            return;
+        }
+        
+        try {
+            await this.createSnapshot(reason);
+        } catch (error) {
+            Logger.warn('Failed to take snapshot before change', { reason, error: error.message });
+        }
+    }
+
+    /**
+     * Takes a scheduled snapshot if the last one is older than the snapshotIntervalHours setting
+     * Nothing is taken while the board is unchanged since the last snapshot.
+     * @param {Date} [now=new Date()] - The current time
+     * @returns {Promise<Object|null>} The snapshot, or null if none was due
+     * @throws {StorageError} When storage operation fails
+     */
+    async takeScheduledSnapshot(now = new Date()) {
+        const hours = this.settings.snapshotIntervalHours;
+        if (hours === 0) {
+            return null;
+        }
+        
+        const [latest] = await this.loadSnapshots();
+        if (latest && now - new Date(latest.createdAt) < hours * 60 * 60 * 1000) {
+            return null;
+        }
+        
+        const archive = this.archive.map(entry => entry.toJSON());
+        if (latest && this.getSnapshotContents(latest) === this.getSnapshotContents({ board: this.exportBoard(null), archive })) {
+            return null;
+        }
+        
+        return this.createSnapshot('Scheduled');
+    }
+
+    /**
+     * Restores the boards, or part of them, from a snapshot
+     * Without a selection every board is replaced. With one, the chosen columns
+     * (with all their todos) and todos are put back, replacing any todo that
+     * is still on a board and bringing back the column and board of any todo
+     * whose column or board was deleted. A full restore also puts back archived
+     * todos deleted since. A snapshot of the current boards is taken first.
+     * @param {string} snapshotId - The snapshot ID
+     * @param {Object} [selection] - What to restore
+     * @param {string[]} [selection.groupIds] - Columns to restore with their todos
+     * @param {string[]} [selection.todoIds] - Individual todos to restore
+     * @returns {Promise<Object>} Counts of restored groups and todos
+     * @throws {TodoValidationError} When the snapshot is missing or invalid
+     * @throws {StorageError} When storage operation fails
+     */
+    async restoreSnapshot(snapshotId, selection = null) {
+        try {
+            Logger.info('Restoring snapshot', { snapshotId, selection });
+            
+            const snapshot = (await this.loadSnapshots()).find(s => s.id === snapshotId);
+            if (!snapshot) {
+                throw new TodoValidationError('Snapshot not found');
+            }
+            
+            const restored = this.parseBoardExport(snapshot.board);
+            // Snapshots taken before the archive was included have none
+            const restoredArchive = (snapshot.archive || []).map(data => ArchivedTodo.fromJSON(data));
+            await this.snapshotBeforeChange('Before restoring a snapshot');
+            const before = this.captureState();
+            let counts;
+            
+            if (!selection) {
+                // Snapshots taken before boards existed keep the current boards
+                if (restored.boards.length > 0) {
+                    this.boards = restored.boards;
+                }
+                this.groups = restored.groups.sort((a, b) => a.position - b.position);
+                this.todos = restored.todos;
+                const archivedIds = new Set(this.archive.map(entry => entry.id));
+                this.archive.push(...restoredArchive.filter(entry => !archivedIds.has(entry.id)));
+                counts = { groups: restored.groups.length, todos: restored.todos.length };
+            } else {
+                const groupIds = new Set(selection.groupIds || []);
+                const todoIds = new Set(selection.todoIds || []);
+                const todos = restored.todos.filter(todo => groupIds.has(todo.groupId) || todoIds.has(todo.id));
+                const neededGroupIds = new Set([...groupIds, ...todos.map(todo => todo.groupId)]);
+                
+                const groups = restored.groups
+                    .filter(group => neededGroupIds.has(group.id) && !this.groups.some(existing => existing.id === group.id))
+                    .sort((a, b) => a.position - b.position);
+                groups.forEach(group => {
+                    group.updatePosition(this.getGroups(group.boardId).length);
+                    this.groups.push(group);
+                });
+                
+                todos.forEach(todo => {
+                    const index = this.todos.findIndex(existing => existing.id === todo.id);
+                    if (index === -1) {
+                        todo.updatePosition(this.getTodosInManualOrder(todo.groupId).length);
+                        this.todos.push(todo);
+                    } else {
+                        const oldGroupId = this.todos[index].groupId;
+                        this.todos[index] = todo;
+                        this.renumberTodos(this.getTodosInManualOrder(oldGroupId));
+                    }
+                });
+                neededGroupIds.forEach(groupId => this.renumberTodos(this.getTodosInManualOrder(groupId)));
+                
+                counts = { groups: groups.length, todos: todos.length };
+            }
+            
+            this.addMissingBoards(restored.boards);
+            this.ensureCurrentBoard();
+            
+            // Restored todos that were archived since leave the archive
+            const boardIds = new Set(this.todos.map(todo => todo.id));
+            this.archive = this.archive.filter(entry => !boardIds.has(entry.id));
+            
+            await Promise.all([this.saveBoards(), this.saveGroups(), this.saveTodos(), this.saveArchive()]);
+            await this.commitHistory('Restore snapshot', before);
+            
+            Logger.info('Snapshot restored successfully', { snapshotId, ...counts });
+            return counts;
+        } catch (error) {
+            Logger.error('Failed to restore snapshot', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to restore snapshot', error);
+        }
+    }
+
+    /**
+     * Exports the board as a Markdown checklist
+     * Each column becomes a heading with one task list item per todo and the
+     * description indented underneath.
+     * @returns {string} The Markdown text
+     */
+    exportMarkdown() {
+        const sections = this.getGroups().map(group => {
+            const lines = [`## ${group.name}`, ''];
+            
+            this.getTodosForGroup(group.id).forEach(todo => {
+                const tags = todo.tags.length > 0 ? ` ${todo.tags.join(' ')}` : '';
+                lines.push(`- [${todo.completed ? 'x' : ' '}] ${todo.text}${tags}`);
+                todo.subtasks.forEach(subtask => {
+                    lines.push(`  - [${subtask.done ? 'x' : ' '}] ${subtask.text}`);
+                });
+                if (todo.description) {
+                    todo.description.split('\n').forEach(line => {
+                        lines.push(line ? `  ${line}` : '');
+                    });
+                }
+            });
+            
+            return lines.join('\n');
+        });
+        
+        return sections.join('\n\n') + '\n';
+    }
+
+    /**
+     * Parses a Markdown or plain-text list into columns and todos
+     * Headings start a new column. List items, task list items and unindented
+     * plain lines become todos. Indented task list items below a todo become its
+     * subtasks and other indented lines its description.
+     * @param {string} text - The text to parse
+     * @returns {Object[]} Sections with a column name (null before any heading) and todos
+     */
+    parseChecklist(text) {
+        const sections = [{ name: null, todos: [] }];
+        let currentTodo = null;
+        
+        const finishTodo = () => {
+            if (currentTodo) {
+                currentTodo.description = currentTodo.description.join('\n').trim();
+                currentTodo = null;
+            }
+        };
+        
+        String(text).replace(/\r\n?/g, '\n').split('\n').forEach(line => {
+            if (line.trim() === '') {
+                if (currentTodo) {
+                    currentTodo.description.push('');
+                }
+                return;
+            }
+            
+            const indented = /^(\s{2,}|\t)/.test(line);
+            if (indented && currentTodo) {
+                const subtask = line.trim().match(/^[-*+]\s+\[([ xX])\]\s+(.+)$/);
+                if (subtask) {
+                    currentTodo.subtasks.push({ text: subtask[2].trim(), done: subtask[1] !== ' ' });
+                } else {
+                    currentTodo.description.push(line.replace(/^(\t| {1,4})/, ''));
+                }
+                return;
+            }
+            
+            finishTodo();
+            
+            const heading = line.match(/^\s*#{1,6}\s+(.*?)\s*#*\s*$/);
+            if (heading) {
+                if (heading[1]) {
+                    sections.push({ name: heading[1].slice(0, CONFIG.MAX_GROUP_NAME_LENGTH), todos: [] });
+                }
+                return;
+            }
+            
+            const item = line.trim().match(/^(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/);
+            const itemText = (item ? item[2] : line).trim();
+            if (!itemText) {
+                return;
+            }
+            
+            currentTodo = {
+                text: itemText,
+                completed: Boolean(item && item[1] && item[1] !== ' '),
+                description: [],
+                subtasks: []
+            };
+            sections[sections.length - 1].todos.push(currentTodo);
+        });
+        
+        finishTodo();
+        return sections.filter(section => section.name !== null || section.todos.length > 0);
+    }
+
+    /**
+     * Bulk-creates columns and todos from a Markdown or plain-text list
+     * Headings matching an existing column name add to that column. Todos before
+     * any heading go to the default group, or the first column if none is given.
+     * @param {string} text - The list to import
+     * @param {string} [defaultGroupId] - Column for todos that precede any heading
+     * @returns {Promise<Object>} Counts of created groups and todos
+     * @throws {TodoValidationError} When the text holds no todos or columns
+     * @throws {StorageError} When storage operation fails
+     */
+    async importChecklist(text, defaultGroupId = null) {
+        try {
+            Logger.info('Importing checklist', { defaultGroupId });
+            
+            const sections = this.parseChecklist(text);
+            if (sections.length === 0) {
+                throw new TodoValidationError('No todos or columns found in the pasted text');
+            }
+            
+            const before = this.captureState();
+            const counts = { groups: 0, todos: 0 };
+            
+            sections.forEach(section => {
+                let group;
+                if (section.name === null) {
+                    group = this.groups.find(g => g.id === defaultGroupId) || this.getGroups()[0];
+                } else {
+                    group = this.getGroups().find(g => g.name.toLowerCase() === section.name.toLowerCase());
+                }
+                
+                if (!group) {
+                    group = new TodoGroup(section.name || 'Imported', this.getGroups().length, null, this.currentBoardId);
+                    this.groups.push(group);
+                    counts.groups++;
+                }
+                
+                let position = this.getTodosInManualOrder(group.id).length;
+                section.todos.forEach(item => {
+                    const parsed = TodoItem.parseTags(item.text);
+                    let todoText = parsed.text || item.text;
+                    let description = item.description;
+                    
+                    // Keep over-long lines intact in the description
+                    if (todoText.length > CONFIG.MAX_TODO_LENGTH) {
+                        description = [todoText, description].filter(Boolean).join('\n\n');
+                        todoText = todoText.slice(0, CONFIG.MAX_TODO_LENGTH - 1) + '…';
+                    }
+                    
+                    const todo = new TodoItem(todoText, group.id, item.completed, description, null, position++);
+                    if (parsed.text) {
+                        todo.tags = parsed.tags.slice(0, CONFIG.MAX_TAGS).filter(tag => tag.length <= CONFIG.MAX_TAG_LENGTH);
+                    }
+                    todo.updateSubtasks(item.subtasks
+                        .slice(0, CONFIG.MAX_SUBTASKS)
+                        .map(subtask => ({ ...subtask, text: subtask.text.slice(0, CONFIG.MAX_TODO_LENGTH) })));
+                    this.todos.push(todo);
+                    counts.todos++;
+                });
+            });
+            
+            await Promise.all([this.saveGroups(), this.saveTodos()]);
+            await this.commitHistory('Import checklist', before);
+            
+            Logger.info('Checklist imported successfully', counts);
+            return counts;
+        } catch (error) {
+            Logger.error('Failed to import checklist', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to import checklist', error);
+        }
+    }
+
+    /**
+     * Sets the current filter for displaying todos
+     * @param {string} filter - The filter type ('all', 'active', 'completed')
+     */
+    setFilter(filter) {
+        if (!['all', 'active', 'completed'].includes(filter)) {
+            Logger.warn('Invalid filter type', { filter });
+            return;
+        }
+        
+        this.currentFilter = filter;
+        Logger.info('Filter updated', { filter });
+    }
+
+    /**
+     * Sets the search query matched against todo titles and descriptions
+     * @param {string} query - The search text, empty to clear
+     */
+    setSearchQuery(query) {
+        this.searchQuery = String(query || '').trim();
+        Logger.info('Search query updated', { query: this.searchQuery });
+    }
+
+    /**
+     * Gets the lowercase terms of the current search query
+     * @returns {string[]} The search terms, empty when not searching
+     */
+    getSearchTerms() {
+        return this.searchQuery.toLowerCase().split(/\s+/).filter(Boolean);
+    }
+
+    /**
+     * Limits the board to a single column
+     * @param {string|null} groupId - The group ID, or null to show all columns
+     */
+    setColumnFilter(groupId) {
+        if (groupId && !this.getGroups().some(group => group.id === groupId)) {
+            Logger.warn('Invalid column filter', { groupId });
+            return;
+        }
+        
+        this.columnFilter = groupId || null;
+        Logger.info('Column filter updated', { groupId: this.columnFilter });
+    }
+
+    /**
+     * Limits the board to todos with a tag
+     * @param {string|null} tag - The tag, or null to show all todos
+     */
+    setTagFilter(tag) {
+        this.tagFilter = tag || null;
+        Logger.info('Tag filter updated', { tag: this.tagFilter });
+    }
+
+    /**
+     * Sets the due date filter
+     * @param {string} filter - One of CONFIG.DUE_FILTERS
+     */
+    setDueFilter(filter) {
+        if (!CONFIG.DUE_FILTERS.includes(filter)) {
+            Logger.warn('Invalid due filter', { filter });
+            return;
+        }
+        
+        this.dueFilter = filter;
+        Logger.info('Due filter updated', { filter });
+    }
+
+    /**
+     * Checks whether any filter beyond the status filter is active
+     * @returns {boolean} True if searching or filtering by column, date or tag
+     */
+    hasActiveFilters() {
+        return this.searchQuery !== '' || this.columnFilter !== null || this.dueFilter !== 'any' || this.tagFilter !== null;
+    }
+
+    /**
+     * Clears the search and the column, date and tag filters, keeping the status filter
+     */
+    clearFilters() {
+        this.searchQuery = '';
+        this.columnFilter = null;
+        this.dueFilter = 'any';
+        this.tagFilter = null;
+        Logger.info('Filters cleared');
+    }
+
+    /**
+     * Checks whether a todo passes the status, search, column, date and tag filters
+     * @param {TodoItem} todo - The todo item
+     * @param {Date} [now] - The current time, defaults to now
+     * @returns {boolean} True if the todo should be shown
+     */
+    matchesFilters(todo, now = new Date()) {
+        if (this.currentFilter === 'active' && todo.completed) return false;
+        if (this.currentFilter === 'completed' && !todo.completed) return false;
+        
+        if (this.columnFilter && todo.groupId !== this.columnFilter) {
+            return false;
+        }
+        
+        if (this.tagFilter && !todo.tags.includes(this.tagFilter)) {
+            return false;
+        }
+        
+        if (this.dueFilter !== 'any') {
+            const status = todo.getDueStatus(now);
+            if (this.dueFilter === 'none' && todo.dueDate) return false;
+            if (this.dueFilter === 'overdue' && status !== 'overdue') return false;
+            if (this.dueFilter === 'today' && status !== 'today') return false;
+            if (this.dueFilter === 'upcoming') {
+                const limit = new Date(now.getFullYear(), now.getMonth(), now.getDate() + CONFIG.UPCOMING_DAYS - 1);
+                if (!status || status === 'overdue' || todo.dueDate > TodoItem.getDateKey(limit)) return false;
+            }
+        }
+        
+        const terms = this.getSearchTerms();
+        if (terms.length > 0) {
+            const subtaskText = todo.subtasks.map(subtask => subtask.text).join('\n');
+            const sourceTitle = todo.source ? todo.source.title : '';
+            const haystack = `${todo.text}\n${todo.description}\n${todo.tags.join(' ')}\n${subtaskText}\n${sourceTitle}`.toLowerCase();
+            if (!terms.every(term => haystack.includes(term))) {
+                return false;
+            }
+        }
+        
+        return true;
+    }
+
+    /**
+     * Gets the current board's todos that match the current filters
+     * @returns {TodoItem[]} The filtered todo list
+     */
+    getFilteredTodos() {
+        const now = new Date();
+        return this.getBoardTodos().filter(todo => this.matchesFilters(todo, now));
+    }
+
+    /**
+     * Gets the todos in a board's columns
+     * @param {string} [boardId] - The board ID, defaults to the current board
+     * @returns {TodoItem[]} The board's todos
+     */
+    getBoardTodos(boardId = this.currentBoardId) {
+        const groupIds = new Set(this.getGroups(boardId).map(group => group.id));
+        return this.todos.filter(todo => groupIds.has(todo.groupId));
+    }
+
+    /**
+     * Gets todos for a specific group in their manual (drag and drop) order
+     * @param {string} groupId - The group ID
+     * @returns {TodoItem[]} The todos in the group
+     */
+    getTodosInManualOrder(groupId) {
+        return this.todos
+            .filter(todo => todo.groupId === groupId)
+            .sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Gets todos for a specific group in the group's chosen sort order
+     * Ties keep their manual order.
+     * @param {string} groupId - The group ID
+     * @returns {TodoItem[]} The todos in the group
+     */
+    getTodosForGroup(groupId) {
+        const todos = this.getTodosInManualOrder(groupId);
+        const group = this.groups.find(g => g.id === groupId);
+        const sortBy = group ? group.sortBy : 'manual';
+        
+        switch (sortBy) {
+            case 'priority':
+                return todos.sort((a, b) => CONFIG.PRIORITIES.indexOf(b.priority) - CONFIG.PRIORITIES.indexOf(a.priority));
+            case 'dueDate':
+                // Todos without a due date go last
+                return todos.sort((a, b) => {
+                    if (a.dueDate === b.dueDate) return 0;
+                    if (!a.dueDate) return 1;
+                    if (!b.dueDate) return -1;
+                    return a.dueDate < b.dueDate ? -1 : 1;
+                });
+            case 'createdAt':
+                return todos.sort((a, b) => (a.createdAt < b.createdAt ? 1 : a.createdAt > b.createdAt ? -1 : 0));
+            case 'alphabetical':
+                return todos.sort((a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base', numeric: true }));
+            default:
+                return todos;
+        }
+    }
+
+    /**
+     * Gets a board's groups sorted by position
+     * @param {string} [boardId] - The board ID, defaults to the current board
+     * @returns {TodoGroup[]} The sorted groups
+     */
+    getGroups(boardId = this.currentBoardId) {
+        return this.groups
+            .filter(group => group.boardId === boardId)
+            .sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Gets statistics about the current board's todos
+     * @returns {Object} Statistics object with total, active, completed, overdue and dueToday counts
+     */
+    getStats() {
+        const now = new Date();
+        const todos = this.getBoardTodos();
+        const total = todos.length;
+        const completed = todos.filter(todo => todo.completed).length;
+        const active = total - completed;
+        const overdue = todos.filter(todo => todo.getDueStatus(now) === 'overdue').length;
+        const dueToday = todos.filter(todo => todo.getDueStatus(now) === 'today').length;
+        
+        return { total, active, completed, overdue, dueToday };
+    }
+
+    /**
+     * Loads boards from Chrome storage and the board last used in this browser profile
+     * The default board is created in memory if none are stored.
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async loadBoards() {
+        try {
+            const result = await chrome.storage.sync.get(CONFIG.BOARDS_STORAGE_KEY);
+            const storedBoards = result[CONFIG.BOARDS_STORAGE_KEY] || [];
+            
+            this.boards = storedBoards.map(boardData => {
+                try {
+                    return TodoBoard.fromJSON(boardData);
+                } catch (error) {
+                    this.quarantineRecord('board', boardData, error);
+                    return null;
+                }
+            }).filter(board => board !== null);
+            this.syncedBoardIds = new Set(this.boards.map(board => board.id));
+            
+            if (this.boards.length === 0) {
+                this.boards.push(new TodoBoard(CONFIG.DEFAULT_BOARD_NAME, 0, CONFIG.DEFAULT_BOARD_ID));
+            }
+            
+            // The current board is remembered per profile rather than synced
+            const currentResult = await chrome.storage.local.get(CONFIG.CURRENT_BOARD_STORAGE_KEY);
+            this.currentBoardId = currentResult[CONFIG.CURRENT_BOARD_STORAGE_KEY] || CONFIG.DEFAULT_BOARD_ID;
+            this.ensureCurrentBoard();
+            
+            Logger.info('Boards loaded from storage', { count: this.boards.length, currentBoardId: this.currentBoardId });
+        } catch (error) {
+            Logger.error('Failed to load boards from storage', error);
+            throw new StorageError('Failed to load boards from storage', error);
+        }
+    }
+
+    /**
+     * Loads groups from Chrome storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async loadGroups() {
+        try {
+            const result = await chrome.storage.sync.get(CONFIG.GROUPS_STORAGE_KEY);
+            const storedGroups = result[CONFIG.GROUPS_STORAGE_KEY] || [];
+            
+            this.groups = storedGroups.map(groupData => {
+                try {
+                    return TodoGroup.fromJSON(groupData);
+                } catch (error) {
+                    this.quarantineRecord('group', groupData, error);
+                    return null;
+                }
+            }).filter(group => group !== null);
+            
+            this.syncedGroupIds = new Set(this.groups.map(group => group.id));
+            Logger.info('Groups loaded from storage', { count: this.groups.length });
+        } catch (error) {
+            Logger.error('Failed to load groups from storage', error);
+            throw new StorageError('Failed to load groups from storage', error);
+        }
+    }
+
+    /**
+     * Loads todos from Chrome storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async loadTodos() {
+        try {
+            const storedTodos = await this.storage.loadTodos();
+            
+            this.todos = storedTodos.map(todoData => {
+                try {
+                    return TodoItem.fromJSON(todoData);
+                } catch (error) {
+                    this.quarantineRecord('todo', todoData, error);
+                    return null;
+                }
+            }).filter(todo => todo !== null);
+            
+            this.syncedTodoIds = new Set(this.todos.map(todo => todo.id));
+            Logger.info('Todos loaded from storage', { count: this.todos.length, area: this.storage.activeArea });
+        } catch (error) {
+            Logger.error('Failed to load todos from storage', error);
+            throw new StorageError('Failed to load todos from storage', error);
+        }
+    }
+
+    /**
+     * Loads tag colors from Chrome storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async loadTags() {
+        try {
+            const result = await chrome.storage.sync.get(CONFIG.TAGS_STORAGE_KEY);
+            this.tagColors = this.parseTagColors(result[CONFIG.TAGS_STORAGE_KEY]);
+            Logger.info('Tags loaded from storage', { count: Object.keys(this.tagColors).length });
+        } catch (error) {
+            Logger.error('Failed to load tags from storage', error);
+            throw new StorageError('Failed to load tags from storage', error);
+        }
+    }
+
+    /**
+     * Keeps only valid tag to color entries from stored data
+     * @param {Object} data - The stored tag colors
+     * @returns {Object} Tag colors keyed by tag
+     */
+    parseTagColors(data) {
+        const colors = {};
+        if (data && typeof data === 'object') {
+            Object.entries(data).forEach(([tag, color]) => {
+                if (typeof color === 'string' && /^#[0-9a-f]{6}$/i.test(color)) {
+                    colors[tag] = color;
+                }
+            });
+        }
+        return colors;
+    }
+
+    /**
+     * Saves tag colors to Chrome storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async saveTags() {
+        try {
+            await chrome.storage.sync.set({ [CONFIG.TAGS_STORAGE_KEY]: this.tagColors });
+            Logger.info('Tags saved to storage', { count: Object.keys(this.tagColors).length });
+        } catch (error) {
+            Logger.error('Failed to save tags to storage', error);
+            throw new StorageError('Failed to save tags to storage', error);
+        }
+    }
+
+    /**
+     * Updates one or more settings
+     * @param {Object} changes - Setting values keyed by name
+     * @returns {Promise<void>}
+     * @throws {TodoValidationError} When a setting is unknown or has the wrong type
+     * @throws {StorageError} When storage operation fails
+     */
+    async updateSettings(changes) {
+        try {
+            Logger.info('Updating settings', changes);
+            
+            Object.entries(changes).forEach(([key, value]) => {
+                if (!(key in CONFIG.DEFAULT_SETTINGS)) {
+                    throw new TodoValidationError(`Unknown setting: ${key}`);
+                }
+                if (!this.isValidSetting(key, value)) {
+                    throw new TodoValidationError(`Invalid value for setting: ${key}`);
+                }
+            });
+            
+            this.settings = { ...this.settings, ...changes };
+            await this.saveSettings();
+        } catch (error) {
+            Logger.error('Failed to update settings', error);
+            if (error instanceof TodoValidationError) {
+                throw error;
+            }
+            throw new StorageError('Failed to update settings', error);
+        }
+    }
+
+    /**
+     * Checks a setting value against the type of its default and any allowed range
+     * @param {string} key - The setting name
+     * @param {*} value - The value to check
+     * @returns {boolean} True if the value can be stored
+     */
+    isValidSetting(key, value) {
+        if (typeof value !== typeof CONFIG.DEFAULT_SETTINGS[key]) {
+            return false;
+        }
+        
+        const range = CONFIG.SETTING_RANGES[key];
+        return !range || (Number.isInteger(value) && value >= range[0] && value <= range[1]);
+    }
+
+    /**
+     * Merges stored settings over the defaults, ignoring unknown or mistyped values
+     * @param {Object} data - The stored settings
+     * @returns {Object} The settings
+     */
+    parseSettings(data) {
+        const settings = { ...CONFIG.DEFAULT_SETTINGS };
+        if (data && typeof data === 'object') {
+            Object.keys(settings).forEach(key => {
+                if (this.isValidSetting(key, data[key])) {
+                    settings[key] = data[key];
+                }
+            });
+        }
+        return settings;
+    }
+
+    /**
+     * Loads settings from Chrome storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async loadSettings() {
+        try {
+            const result = await chrome.storage.sync.get(CONFIG.SETTINGS_STORAGE_KEY);
+            this.settings = this.parseSettings(result[CONFIG.SETTINGS_STORAGE_KEY]);
+            Logger.info('Settings loaded from storage', this.settings);
+        } catch (error) {
+            Logger.error('Failed to load settings from storage', error);
+            throw new StorageError('Failed to load settings from storage', error);
+        }
+    }
+
+    /**
+     * Saves the whole board again, used to retry after a failed save
+     * Every change updates memory before saving, so this stores the changes
+     * that could not be saved.
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async saveBoard() {
+        try {
+            await this.saveBoards();
+            await this.saveGroups();
+            await this.saveTodos();
+            await this.saveTags();
+            await this.saveSettings();
+            await this.saveArchive();
+            Logger.info('Board saved to storage');
+        } catch (error) {
+            Logger.error('Failed to save board to storage', error);
+            throw new StorageError('Failed to save board to storage', error);
+        }
+    }
+
+    /**
+     * Saves settings to Chrome storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async saveSettings() {
+        try {
+            await chrome.storage.sync.set({ [CONFIG.SETTINGS_STORAGE_KEY]: this.settings });
+            Logger.info('Settings saved to storage');
+        } catch (error) {
+            Logger.error('Failed to save settings to storage', error);
+            throw new StorageError('Failed to save settings to storage', error);
+        }
+    }
+
+    /**
+     * Loads undo/redo history from local storage
+     * History is per device, so it lives in local rather than sync storage.
+     * A failure here only loses history and does not block initialization.
+     * @returns {Promise<void>}
+     */
+    async loadHistory() {
+        try {
+            const result = await chrome.storage.local.get(CONFIG.HISTORY_STORAGE_KEY);
+            this.setHistory(result[CONFIG.HISTORY_STORAGE_KEY]);
+            Logger.info('History loaded from storage', { undo: this.undoStack.length, redo: this.redoStack.length });
+        } catch (error) {
+            Logger.warn('Failed to load history, starting empty', { error: error.message });
+            this.undoStack = [];
+            this.redoStack = [];
+        }
+    }
+
+    /**
+     * Replaces the history stacks with stored ones
+     * @param {Object} [history] - The stored history with undo and redo arrays
+     */
+    setHistory(history) {
+        const stored = history || {};
+        this.undoStack = Array.isArray(stored.undo) ? stored.undo : [];
+        this.redoStack = Array.isArray(stored.redo) ? stored.redo : [];
+    }
+
+    /**
+     * Saves undo/redo history to local storage
+     * @returns {Promise<void>}
+     */
+    async saveHistory() {
+        await chrome.storage.local.set({
+            [CONFIG.HISTORY_STORAGE_KEY]: { undo: this.undoStack, redo: this.redoStack }
+        });
+    }
+
+    /**
+     * Parses stored archived todos, quarantining any that fail validation
+     * @param {Object[]} data - The stored archived todos
+     * @returns {ArchivedTodo[]} The valid archived todos
+     */
+    parseArchive(data) {
+        return (Array.isArray(data) ? data : []).map(entryData => {
+            try {
+                return ArchivedTodo.fromJSON(entryData);
+            } catch (error) {
+                this.quarantineRecord('archive', entryData, error);
+                return null;
+            }
+        }).filter(entry => entry !== null);
+    }
+
+    /**
+     * Loads archived todos from local storage
+     * The archive can grow well past the sync quota, so it is kept on this machine.
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async loadArchive() {
+        try {
+            const result = await chrome.storage.local.get(CONFIG.ARCHIVE_STORAGE_KEY);
+            this.archive = this.parseArchive(result[CONFIG.ARCHIVE_STORAGE_KEY]);
+            Logger.info('Archive loaded from storage', { count: this.archive.length });
+        } catch (error) {
+            Logger.error('Failed to load archive from storage', error);
+            throw new StorageError('Failed to load archive from storage', error);
+        }
+    }
+
+    /**
+     * Saves archived todos to local storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async saveArchive() {
+        try {
+            await chrome.storage.local.set({ [CONFIG.ARCHIVE_STORAGE_KEY]: this.archive.map(entry => entry.toJSON()) });
+            Logger.info('Archive saved to storage', { count: this.archive.length });
+        } catch (error) {
+            Logger.error('Failed to save archive to storage', error);
+            throw new StorageError('Failed to save archive to storage', error);
+        }
+    }
+
+    /**
+     * Loads quarantined records from local storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async loadQuarantine() {
+        try {
+            const result = await chrome.storage.local.get(CONFIG.QUARANTINE_STORAGE_KEY);
+            const stored = result[CONFIG.QUARANTINE_STORAGE_KEY];
+            this.quarantine = Array.isArray(stored) ? stored : [];
+            this.quarantineChanged = false;
+            Logger.info('Quarantine loaded from storage', { count: this.quarantine.length });
+        } catch (error) {
+            Logger.error('Failed to load quarantine from storage', error);
+            throw new StorageError('Failed to load quarantine from storage', error);
+        }
+    }
+
+    /**
+     * Saves quarantined records to local storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async saveQuarantine() {
+        try {
+            await chrome.storage.local.set({ [CONFIG.QUARANTINE_STORAGE_KEY]: this.quarantine });
+            this.quarantineChanged = false;
+            Logger.info('Quarantine saved to storage', { count: this.quarantine.length });
+        } catch (error) {
+            Logger.error('Failed to save quarantine to storage', error);
+            throw new StorageError('Failed to save quarantine to storage', error);
+        }
+    }
+
+    /**
+     * Saves boards to Chrome storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async saveBoards() {
+        try {
+            const boardData = this.boards.map(board => board.toJSON());
+            await chrome.storage.sync.set({ [CONFIG.BOARDS_STORAGE_KEY]: boardData });
+            this.syncedBoardIds = new Set(boardData.map(board => board.id));
+            Logger.info('Boards saved to storage', { count: this.boards.length });
+        } catch (error) {
+            Logger.error('Failed to save boards to storage', error);
+            throw new StorageError('Failed to save boards to storage', error);
+        }
+    }
+
+    /**
+     * Saves groups to Chrome storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async saveGroups() {
+        try {
+            const groupData = this.groups.map(group => group.toJSON());
+            await chrome.storage.sync.set({ [CONFIG.GROUPS_STORAGE_KEY]: groupData });
+            this.syncedGroupIds = new Set(groupData.map(group => group.id));
+            Logger.info('Groups saved to storage', { count: this.groups.length });
+        } catch (error) {
+            Logger.error('Failed to save groups to storage', error);
+            throw new StorageError('Failed to save groups to storage', error);
+        }
+    }
+
+    /**
+     * Starts listening for changes written by other tabs or synced machines
+     * @param {Function} onRemoteChange - Called after remote changes were merged in
+     */
+    startSync(onRemoteChange) {
+        chrome.storage.onChanged.addListener((changes, areaName) => {
+            this.handleStorageChange(changes, areaName)
+                .then(changed => {
+                    if (changed) {
+                        onRemoteChange();
+                    }
+                })
+                .catch(error => Logger.error('Failed to apply remote changes', error));
+        });
+        
+        Logger.info('Listening for remote storage changes');
+    }
+
+    /**
+     * Merges boards, groups and todos changed in storage by another page
+     * The current board stays as it is unless it was deleted elsewhere.
+     * @param {Object} changes - The changes reported by chrome.storage.onChanged
+     * @param {string} areaName - The storage area that changed
+     * @returns {Promise<boolean>} True if local state changed
+     */
+    async handleStorageChange(changes, areaName) {
+        if (areaName !== 'sync' && areaName !== 'local') {
+            return false;
+        }
+        
+        let changed = false;
+        
+        const boardChange = changes[CONFIG.BOARDS_STORAGE_KEY];
+        if (areaName === 'sync' && boardChange) {
+            const result = this.mergeRecords(this.boards, boardChange.newValue || [], this.syncedBoardIds, TodoBoard);
+            this.boards = result.records;
+            this.syncedBoardIds = result.remoteIds;
+            changed = changed || result.changed;
+            this.ensureCurrentBoard();
+        }
+        
+        const groupChange = changes[CONFIG.GROUPS_STORAGE_KEY];
+        if (areaName === 'sync' && groupChange) {
+            const result = this.mergeRecords(this.groups, groupChange.newValue || [], this.syncedGroupIds, TodoGroup);
+            this.groups = result.records.sort((a, b) => a.position - b.position);
+            this.syncedGroupIds = result.remoteIds;
+            changed = changed || result.changed;
+        }
+        
+        const tagChange = changes[CONFIG.TAGS_STORAGE_KEY];
+        if (areaName === 'sync' && tagChange) {
+            this.tagColors = this.parseTagColors(tagChange.newValue);
+            changed = true;
+        }
+        
+        const settingsChange = changes[CONFIG.SETTINGS_STORAGE_KEY];
+        if (areaName === 'sync' && settingsChange) {
+            this.settings = this.parseSettings(settingsChange.newValue);
+        }
+        
+        const archiveChange = changes[CONFIG.ARCHIVE_STORAGE_KEY];
+        if (areaName === 'local' && archiveChange) {
+            this.archive = this.parseArchive(archiveChange.newValue);
+            changed = true;
+        }
+        
+        // History is shared by every tab on this device, so follow the latest stacks
+        const historyChange = changes[CONFIG.HISTORY_STORAGE_KEY];
+        if (areaName === 'local' && historyChange) {
+            this.setHistory(historyChange.newValue);
+        }
+        
+        if (this.storage.isRemoteTodoChange(changes)) {
+            const remoteTodos = await this.storage.loadTodos();
+            const result = this.mergeRecords(this.todos, remoteTodos, this.syncedTodoIds, TodoItem);
+            this.todos = result.records;
+            this.syncedTodoIds = result.remoteIds;
+            changed = changed || result.changed;
+        }
+        
+        if (this.quarantineChanged) {
+            await this.saveQuarantine();
+        }
+        
+        if (changed) {
+            Logger.info('Merged remote changes', { groups: this.groups.length, todos: this.todos.length });
+        }
+        return changed;
+    }
+
+    /**
+     * Merges remote records into local ones by id, keeping the newest by updatedAt
+     * Records missing on one side are treated as deleted there if both sides had
+     * already seen them, and as newly added otherwise.
+     * @param {Array<TodoItem|TodoGroup|TodoBoard>} localRecords - The local records
+     * @param {Object[]} remoteData - The serialized remote records
+     * @param {Set<string>} syncedIds - IDs present the last time this page was in sync
+     * @param {Function} RecordClass - TodoItem, TodoGroup or TodoBoard, used to deserialize
+     * @returns {Object} The merged records, the remote IDs and whether anything changed
+     */
+    mergeRecords(localRecords, remoteData, syncedIds, RecordClass) {
+        const remoteById = new Map();
+        remoteData.forEach(data => {
+            if (data && data.id) {
+                remoteById.set(data.id, data);
+            }
+        });
+        
+        let changed = false;
+        const records = [];
+        
+        localRecords.forEach(record => {
+            const data = remoteById.get(record.id);
+            if (!data) {
+                // Deleted remotely, unless it was added here and never saved
+                if (syncedIds.has(record.id)) {
+                    changed = true;
+                } else {
+                    records.push(record);
+                }
+                return;
+            }
+            
+            remoteById.delete(record.id);
+            if (data.updatedAt && data.updatedAt > record.updatedAt) {
+                const remoteRecord = this.deserializeRecord(data, RecordClass);
+                records.push(remoteRecord || record);
+                changed = changed || Boolean(remoteRecord);
+            } else {
+                records.push(record);
+            }
+        });
+        
+        // Added remotely, unless it was deleted here and not saved yet
+        remoteById.forEach(data => {
+            if (syncedIds.has(data.id)) {
+                return;
+            }
+            const remoteRecord = this.deserializeRecord(data, RecordClass);
+            if (remoteRecord) {
+                records.push(remoteRecord);
+                changed = true;
+            }
+        });
+        
+        const remoteIds = new Set(remoteData.filter(data => data && data.id).map(data => data.id));
+        return { records, remoteIds, changed };
+    }
+
+    /**
+     * Deserializes a remote record, quarantining it if the data is invalid
+     * @param {Object} data - The serialized record
+     * @param {Function} RecordClass - TodoItem, TodoGroup or TodoBoard
+     * @returns {TodoItem|TodoGroup|TodoBoard|null} The record, or null if the data is invalid
+     */
+    deserializeRecord(data, RecordClass) {
+        try {
+            return RecordClass.fromJSON(data);
+        } catch (error) {
+            const kind = RecordClass === TodoBoard ? 'board' : RecordClass === TodoGroup ? 'group' : 'todo';
+            this.quarantineRecord(kind, data, error);
+            return null;
+        }
+    }
+
+    /**
+     * Gets storage quota usage so the UI can warn before writes fail
+     * @returns {Promise<Object>} Usage with area, bytesInUse, quotaBytes and ratio
+     * @throws {StorageError} When storage operation fails
+     */
+    async getStorageUsage() {
+        try {
+            return await this.storage.getUsage();
+        } catch (error) {
+            Logger.error('Failed to read storage usage', error);
+            throw new StorageError('Failed to read storage usage', error);
+        }
+    }
+
+    /**
+     * Saves todos to Chrome storage
+     * @returns {Promise<void>}
+     * @throws {StorageError} When storage operation fails
+     */
+    async saveTodos() {
+        try {
+            const todoData = this.todos.map(todo => todo.toJSON());
+            await this.storage.saveTodos(todoData);
+            this.syncedTodoIds = new Set(todoData.map(todo => todo.id));
+            Logger.info('Todos saved to storage', { count: this.todos.length, area: this.storage.activeArea });
+        } catch (error) {
+            Logger.error('Failed to save todos to storage', error);
+            throw new StorageError('Failed to save todos to storage', error);
+        }
+    }
+}